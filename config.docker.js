@@ -3,12 +3,50 @@ module.exports = {
     host: process.env.DB_HOST || "your-mysql-host.com",           // MySQL 主機位址
     user: process.env.DB_USER || "your_username",                 // MySQL 使用者名稱
     password: process.env.DB_PASSWORD || "your_password",             // MySQL 密碼
-    database: process.env.DB_NAME || "your_database_name"         // 資料庫名稱
+    database: process.env.DB_NAME || "your_database_name",        // 資料庫名稱
+    autoMigrate: process.env.DB_AUTO_MIGRATE !== 'false'          // 啟動時自動補上缺少的資料表與欄位（升級既有資料庫用）
   },
   server: {
-    port: process.env.PORT || 3000                             // 伺服器埠號
+    port: process.env.PORT || 3000,                            // 伺服器埠號
+    trustProxy: process.env.TRUST_PROXY || false               // 位於反向代理後方時設定（例如 1、loopback），才能取得真實來源 IP
+  },
+  rateLimit: {
+    store: process.env.RATE_LIMIT_STORE || "memory",           // 計數儲存方式：memory（重啟後歸零）或 mysql（多台伺服器共用）
+    routes: {                                                   // 覆寫路由的預設限制，鍵為「方法 路徑」
+      // 'POST /api/addEdge': { windowMs: 60000, max: 100 }
+    },
+    keys: {                                                     // 個別 API Key 的限制，優先於路由設定
+      // 'n8n-bot': { max: 120, routes: { 'POST /api/addEdge': { max: 300 } } }
+    },
+    authFailures: { windowMs: 15 * 60 * 1000, max: 20 }         // 同一 IP 的 API Key 驗證失敗次數上限，超過後暫時拒絕該 IP
   },
   api: {
-    key: process.env.API_KEY || "your_api_key_here"               // API 驗證金鑰，請使用強密碼
+    key: process.env.API_KEY || "",                              // 舊版單一金鑰（擁有全部權限），建議改用管理後台建立的金鑰；留空停用
+    protectReads: process.env.API_PROTECT_READS === 'true'       // 查詢與圖片 API 是否也需要 API Key（read / render 權限）
+  },
+  admin: {
+    username: process.env.ADMIN_USERNAME || "",                  // 初始 owner 帳號：admin_users 資料表為空時，第一次登入會以此建立
+    password: process.env.ADMIN_PASSWORD || ""                   // 初始 owner 密碼：建立後請到管理後台變更，之後可清空
+  },
+  telegram: {
+    // 沒有個別設定的 Telegram 使用者可執行的寫入操作（write:persons、write:relations、delete）
+    defaultPermissions: (process.env.TELEGRAM_DEFAULT_PERMISSIONS || "write:persons,write:relations,delete").split(',')
+  },
+  session: {
+    store: process.env.SESSION_STORE || "memory",               // Session 儲存方式：memory（重啟後需重新登入）或 mysql（多台伺服器共用）
+    idleTimeout: process.env.SESSION_IDLE_TIMEOUT || 86400000,  // 閒置多久後失效（毫秒），每次使用都會重新計算
+    maxLifetime: process.env.SESSION_MAX_LIFETIME || 2592000000 // 登入後最長有效時間（毫秒），超過必須重新登入
+  },
+  snapshot: {
+    interval: process.env.SNAPSHOT_INTERVAL || 0,              // 自動快照間隔（毫秒），例如 86400000 為每天一次；0 表示停用
+    keep: process.env.SNAPSHOT_KEEP || 30,                      // 自動快照（排程與還原前備份）最多保留份數，0 表示不限
+    maxAge: process.env.SNAPSHOT_MAX_AGE || 0                   // 自動快照最長保留時間（毫秒），0 表示不限；手動快照不會自動刪除
+  },
+  render: {
+    timeout: process.env.RENDER_TIMEOUT || 30000,               // 圖片渲染逾時（毫秒）
+    poolSize: process.env.RENDER_POOL_SIZE || 2,                // 同時渲染的頁面數
+    queueLimit: process.env.RENDER_QUEUE_LIMIT || 20,           // 最多排隊的渲染請求數
+    cacheSize: process.env.RENDER_CACHE_SIZE || 50,             // 快取的圖片數量（0 表示停用）
+    cacheMaxBytes: process.env.RENDER_CACHE_MAX_BYTES || 200 * 1024 * 1024  // 快取內容的總大小上限（位元組）
   }
 };
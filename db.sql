@@ -7,8 +7,19 @@ SET CHARACTER SET utf8mb4;
 -- USE admin_sitcon_relationship;
 
 -- 刪除現有資料表（如果存在）
+DROP TABLE IF EXISTS graph_version;
+DROP TABLE IF EXISTS snapshots;
+DROP TABLE IF EXISTS telegram_users;
+DROP TABLE IF EXISTS rate_limits;
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS admin_sessions;
+DROP TABLE IF EXISTS admin_users;
 DROP TABLE IF EXISTS person_backgrounds;
+DROP TABLE IF EXISTS relation_entries;
 DROP TABLE IF EXISTS relations;
+DROP TABLE IF EXISTS relation_types;
+DROP TABLE IF EXISTS person_aliases;
 DROP TABLE IF EXISTS persons;
 
 -- 建立人物表（使用 utf8mb4 字符集）
@@ -17,6 +28,33 @@ CREATE TABLE persons (
     name VARCHAR(255) NOT NULL,
     description TEXT,
     gender ENUM('male', 'female', 'femboy', 'unknown') DEFAULT 'unknown' COMMENT '性別：male=男生, female=女生, femboy=男娘, unknown=未知',
+    telegram_username VARCHAR(32) NULL DEFAULT NULL COMMENT 'Telegram 使用者名稱（不含 @，不分大小寫唯一）',
+    telegram_id VARCHAR(20) NULL DEFAULT NULL COMMENT 'Telegram 使用者數字 ID',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP NULL DEFAULT NULL COMMENT '軟刪除時間，NULL 表示未刪除',
+    UNIQUE KEY uniq_persons_telegram_username (telegram_username),
+    UNIQUE KEY uniq_persons_telegram_id (telegram_id),
+    INDEX idx_persons_deleted (deleted_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立人物別名表（暱稱、舊帳號等，不分大小寫唯一）
+CREATE TABLE person_aliases (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    person_id INT NOT NULL,
+    alias VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_person_aliases_alias (alias),
+    INDEX idx_person_aliases_person (person_id),
+    FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立關係類型表（使用 utf8mb4 字符集）
+CREATE TABLE relation_types (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    slug VARCHAR(50) NOT NULL UNIQUE COMMENT '類型代碼（例如：friend、couple）',
+    label VARCHAR(100) NOT NULL COMMENT '顯示名稱',
+    color CHAR(7) DEFAULT '#808080' COMMENT '關係圖連線顏色',
+    line_style ENUM('solid', 'dashed', 'dotted') DEFAULT 'solid' COMMENT '關係圖連線樣式',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -25,10 +63,28 @@ CREATE TABLE relations (
     id INT AUTO_INCREMENT PRIMARY KEY,
     from_person_id INT NOT NULL,
     to_person_id INT NOT NULL,
+    type_id INT NULL COMMENT '關係類型',
     source TEXT COMMENT '關係來源：記錄這個關係是如何建立的（例如：SITCON 2024、黑客松、朋友介紹等）',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP NULL DEFAULT NULL COMMENT '軟刪除時間，NULL 表示未刪除',
+    deleted_with_person_id INT NULL DEFAULT NULL COMMENT '隨人物一併刪除時記錄該人物 ID，還原人物時一併還原',
+    INDEX idx_relations_deleted (deleted_at),
     FOREIGN KEY (from_person_id) REFERENCES persons(id) ON DELETE CASCADE,
-    FOREIGN KEY (to_person_id) REFERENCES persons(id) ON DELETE CASCADE
+    FOREIGN KEY (to_person_id) REFERENCES persons(id) ON DELETE CASCADE,
+    FOREIGN KEY (type_id) REFERENCES relation_types(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立關係歷程表（只新增不覆寫，記錄每次補充的關係內容與操作者）
+CREATE TABLE relation_entries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    relation_id INT NOT NULL,
+    action ENUM('created', 'appended', 'edited') NOT NULL DEFAULT 'appended' COMMENT 'created=建立關係, appended=補充內容, edited=管理員修改',
+    body TEXT COMMENT '此次記錄的關係內容',
+    actor_type ENUM('api_key', 'admin', 'telegram', 'system') NOT NULL DEFAULT 'system' COMMENT '操作者類型',
+    actor_id VARCHAR(255) COMMENT 'API Key 名稱、管理員帳號或 Telegram 使用者 ID',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_relation_entries_relation (relation_id, created_at),
+    FOREIGN KEY (relation_id) REFERENCES relations(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- 建立人物背景表（使用 utf8mb4 字符集）
@@ -39,21 +95,152 @@ CREATE TABLE person_backgrounds (
     body TEXT COMMENT '人物背景描述',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP NULL DEFAULT NULL COMMENT '軟刪除時間，NULL 表示未刪除',
+    deleted_with_person_id INT NULL DEFAULT NULL COMMENT '隨人物一併刪除時記錄該人物 ID，還原人物時一併還原',
     FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- 建立稽核紀錄表（記錄每一次寫入操作的操作者、來源 IP 與前後資料）
+CREATE TABLE audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    action VARCHAR(50) NOT NULL COMMENT '操作代碼（例如：person.create、relation.delete）',
+    entity_type VARCHAR(50) NOT NULL COMMENT '操作對象類型',
+    entity_id VARCHAR(64) COMMENT '操作對象 ID',
+    actor_type ENUM('api_key', 'admin', 'telegram', 'system') NOT NULL DEFAULT 'system' COMMENT '操作者類型',
+    actor_id VARCHAR(255) COMMENT 'API Key 名稱、管理員帳號或 Telegram 使用者 ID',
+    ip VARCHAR(45) COMMENT '來源 IP',
+    method VARCHAR(10) COMMENT 'HTTP 方法',
+    path VARCHAR(255) COMMENT '請求路徑（不含查詢字串）',
+    before_data JSON COMMENT '操作前的資料',
+    after_data JSON COMMENT '操作後的資料',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_audit_log_created (created_at),
+    INDEX idx_audit_log_entity (entity_type, entity_id),
+    INDEX idx_audit_log_actor (actor_type, actor_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立 API Key 表（只儲存 SHA-256 雜湊，明文金鑰只在建立時顯示一次）
+CREATE TABLE api_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE COMMENT '金鑰名稱（例如：n8n-bot），會記錄在稽核紀錄中',
+    key_prefix VARCHAR(16) NOT NULL COMMENT '金鑰前綴，用於查詢與辨識',
+    key_hash CHAR(64) NOT NULL COMMENT '金鑰的 SHA-256 雜湊',
+    scopes SET('read', 'write:persons', 'write:relations', 'delete', 'render') NOT NULL COMMENT '權限範圍',
+    expires_at TIMESTAMP NULL DEFAULT NULL COMMENT '到期時間，NULL 表示不會過期',
+    last_used_at TIMESTAMP NULL DEFAULT NULL COMMENT '最後使用時間',
+    last_used_ip VARCHAR(45) COMMENT '最後使用的 IP',
+    revoked_at TIMESTAMP NULL DEFAULT NULL COMMENT '撤銷時間',
+    created_by VARCHAR(255) COMMENT '建立者（管理員帳號）',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_api_keys_prefix (key_prefix)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立管理員帳號表（密碼以 scrypt 雜湊儲存）
+-- 第一個 owner 會在資料表為空時，以設定檔 admin.username / admin.password 第一次登入時自動建立
+CREATE TABLE admin_users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(100) NOT NULL UNIQUE COMMENT '登入帳號',
+    password_hash VARCHAR(255) NOT NULL COMMENT '密碼雜湊（格式：scrypt$N$r$p$salt$hash）',
+    role ENUM('viewer', 'editor', 'owner') NOT NULL DEFAULT 'viewer' COMMENT 'viewer=僅檢視, editor=可修改資料, owner=可管理帳號與金鑰',
+    last_login_at TIMESTAMP NULL DEFAULT NULL COMMENT '最後登入時間',
+    last_login_ip VARCHAR(45) COMMENT '最後登入 IP',
+    created_by VARCHAR(100) COMMENT '建立者（管理員帳號，初始帳號為 config）',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立管理員 Session 表（config.session.store 設為 mysql 時使用，重啟或多台伺服器間共用登入狀態）
+CREATE TABLE admin_sessions (
+    id CHAR(64) PRIMARY KEY COMMENT 'Session Token 的 SHA-256 雜湊',
+    user_id INT NOT NULL,
+    username VARCHAR(100) NOT NULL,
+    role ENUM('viewer', 'editor', 'owner') NOT NULL,
+    ip VARCHAR(45) COMMENT '登入時的 IP',
+    user_agent VARCHAR(255) COMMENT '登入時的 User-Agent',
+    created_at DATETIME(3) NOT NULL COMMENT '登入時間',
+    last_seen_at DATETIME(3) NOT NULL COMMENT '最後使用時間（滑動期限以此計算）',
+    INDEX idx_admin_sessions_user (user_id),
+    INDEX idx_admin_sessions_last_seen (last_seen_at),
+    FOREIGN KEY (user_id) REFERENCES admin_users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立速率限制計數表（config.rateLimit.store 設為 mysql 時使用，多台伺服器共用計數）
+CREATE TABLE rate_limits (
+    bucket VARCHAR(255) PRIMARY KEY COMMENT '路由與客戶端組合（例如：POST /api/addEdge|key:n8n-bot）',
+    route VARCHAR(100) NOT NULL COMMENT '方法與路由路徑',
+    client VARCHAR(150) NOT NULL COMMENT 'key:金鑰名稱、admin:管理員帳號 或 ip:來源 IP',
+    window_start BIGINT NOT NULL COMMENT '目前計數視窗的開始時間（毫秒）',
+    window_ms INT NOT NULL COMMENT '計數視窗長度（毫秒）',
+    max_hits INT NOT NULL COMMENT '視窗內允許的請求數',
+    hits INT NOT NULL DEFAULT 0 COMMENT '視窗內的請求數（含被拒絕的）',
+    INDEX idx_rate_limits_window (window_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立 Telegram 使用者權限表（Bot 以 X-Telegram-User-Id 轉送使用者，由伺服器判斷管理員、黑名單與個別權限）
+CREATE TABLE telegram_users (
+    telegram_user_id VARCHAR(20) PRIMARY KEY COMMENT 'Telegram 使用者數字 ID',
+    display_name VARCHAR(100) COMMENT '方便辨識的名稱',
+    status ENUM('user', 'admin', 'blocked') NOT NULL DEFAULT 'user' COMMENT 'user=一般使用者, admin=管理員, blocked=黑名單',
+    permissions SET('write:persons', 'write:relations', 'delete') NULL DEFAULT NULL COMMENT '個別寫入權限，NULL 表示使用預設權限',
+    note VARCHAR(255) COMMENT '備註（例如封鎖原因）',
+    created_by VARCHAR(100) COMMENT '建立者（管理員帳號）',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_telegram_users_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立資料快照表（人物、關係與背景的完整備份，內容為 gzip 壓縮的 JSON）
+CREATE TABLE snapshots (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    label VARCHAR(100) COMMENT '快照說明',
+    trigger_type ENUM('manual', 'scheduled', 'pre_restore', 'upload') NOT NULL COMMENT 'manual=手動建立, scheduled=排程, pre_restore=還原前自動備份, upload=上傳',
+    format_version INT NOT NULL COMMENT '快照格式版本',
+    created_by VARCHAR(100) COMMENT '建立者（管理員帳號或 system）',
+    person_count INT NOT NULL DEFAULT 0 COMMENT '人物數（不含垃圾桶）',
+    relation_count INT NOT NULL DEFAULT 0 COMMENT '關係數（不含垃圾桶）',
+    background_count INT NOT NULL DEFAULT 0 COMMENT '背景數（不含垃圾桶）',
+    checksum CHAR(64) NOT NULL COMMENT '資料內容的 SHA-256',
+    size_bytes INT NOT NULL COMMENT '壓縮後大小',
+    data LONGBLOB NOT NULL COMMENT 'gzip 壓縮的快照 JSON',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_snapshots_trigger (trigger_type, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 建立圖表版本表（只有一列，任何寫入都會遞增，多台伺服器以此判斷圖片快取與 ETag 是否過期）
+CREATE TABLE graph_version (
+    id TINYINT UNSIGNED PRIMARY KEY COMMENT '固定為 1（只有一列）',
+    version BIGINT UNSIGNED NOT NULL DEFAULT 0 COMMENT '每次寫入人物、關係或背景時遞增',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO graph_version (id, version) VALUES (1, 0);
+
 -- 插入範例資料
-INSERT INTO persons (name, description, gender) VALUES
-('Alice', 'SITCON 的組織者', 'female'),
-('Bob', 'SITCON 的講師', 'male'),
-('Charlie', 'SITCON 的志工', 'femboy'),
-('Diana', 'SITCON 的參與者', 'female');
-
-INSERT INTO relations (from_person_id, to_person_id, source) VALUES
-(1, 2, 'SITCON 2023 年會'), -- Alice 認識 Bob
-(1, 3, '志工培訓'), -- Alice 認識 Charlie
-(2, 4, '演講後交流'), -- Bob 認識 Diana
-(3, 4, '同組志工'); -- Charlie 認識 Diana
+INSERT INTO persons (name, description, gender, telegram_username) VALUES
+('Alice', 'SITCON 的組織者', 'female', 'alice_sitcon'),
+('Bob', 'SITCON 的講師', 'male', NULL),
+('Charlie', 'SITCON 的志工', 'femboy', NULL),
+('Diana', 'SITCON 的參與者', 'female', NULL);
+
+INSERT INTO person_aliases (person_id, alias) VALUES
+(2, 'Bobby');
+
+-- 插入預設關係類型
+INSERT INTO relation_types (slug, label, color, line_style) VALUES
+('met-at-event', '活動認識', '#3498DB', 'dashed'),
+('friend', '朋友', '#77B55A', 'solid'),
+('couple', '情侶', '#E91E63', 'solid'),
+('colleague', '同事', '#F39C12', 'dotted');
+
+INSERT INTO relations (from_person_id, to_person_id, type_id, source) VALUES
+(1, 2, 1, 'SITCON 2023 年會'), -- Alice 認識 Bob
+(1, 3, 4, '志工培訓'), -- Alice 認識 Charlie
+(2, 4, 1, '演講後交流'), -- Bob 認識 Diana
+(3, 4, 4, '同組志工'); -- Charlie 認識 Diana
+
+-- 以既有的關係來源建立第一筆歷程
+INSERT INTO relation_entries (relation_id, action, body, actor_type, created_at)
+SELECT id, 'created', source, 'system', created_at FROM relations;
 
 -- 插入人物背景範例資料
 INSERT INTO person_backgrounds (person_id, birth_year, body) VALUES
@@ -61,3 +248,8 @@ INSERT INTO person_backgrounds (person_id, birth_year, body) VALUES
 (2, 1995, 'Bob 是一位經驗豐富的技術講師，專精於後端開發和系統架構。他沉穩有耐心，注重細節，擁有多張專業認證，平時喜歡登山。'),
 (3, 2003, 'Charlie 是 SITCON 的熱心志工，喜歡幫助他人解決技術問題。他是一位學生，正在學習 React 和 Vue，對前端開發和設計充滿興趣，也很喜歡動漫。'),
 (4, 2001, 'Diana 是 SITCON 的新成員，對 AI 和機器學習特別感興趣。她是研究生，目前在研究自然語言處理，好奇心強且認真，喜歡閱讀和學習新事物。');
+
+-- 原本寫在 Bot 提示詞中的管理員與黑名單
+INSERT INTO telegram_users (telegram_user_id, status, note, created_by) VALUES
+('5696594479', 'admin', '機器人管理員', 'system'),
+('7444364698', 'blocked', '黑名單', 'system');
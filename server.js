@@ -2,15 +2,22 @@ const express = require('express');
 const mysql = require('mysql2');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
 const config = require('./config');
 const puppeteer = require('puppeteer');
 const crypto = require('crypto');
+const zlib = require('zlib');
 
 const app = express();
 
-// Session 儲存（簡單的記憶體實作）
-const sessions = new Map();
-const SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24 小時
+// 反向代理後方需設定 trust proxy，req.ip 才會是真實來源 IP（影響速率限制、稽核紀錄與 Session）
+function parseTrustProxy(value) {
+  if (value === undefined || value === null || value === '' || value === 'false') return false;
+  if (value === true || value === 'true') return true;
+  if (/^\d+$/.test(String(value))) return parseInt(value);
+  return value;
+}
+app.set('trust proxy', parseTrustProxy(config.server && config.server.trustProxy));
 
 // 全域異常處理
 process.on('uncaughtException', (err) => {
@@ -68,28 +75,268 @@ app.use((req, res, next) => {
 // 靜態檔案服務
 app.use(express.static(path.join(__dirname, 'public')));
 
+// ECharts 本地檔案（直接使用 npm 套件，離線環境不需連到 CDN）
+const ECHARTS_PATH = require.resolve('echarts/dist/echarts.min.js');
+app.get('/vendor/echarts.min.js', (req, res) => {
+  res.sendFile(ECHARTS_PATH);
+});
+
 // ==================== Admin Session Management ====================
 
+// 管理員角色（權限由低到高）：viewer 只能檢視、editor 可修改資料、owner 可管理帳號與金鑰
+const ADMIN_ROLES = ['viewer', 'editor', 'owner'];
+// 管理員帳號只允許英數字與 _ . -
+const ADMIN_USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,100}$/;
+const ADMIN_PASSWORD_MIN_LENGTH = 8;
+const ADMIN_PASSWORD_MAX_LENGTH = 128;
+
+// scrypt 參數，會一併寫入雜湊字串，日後調整參數不影響舊密碼
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keylen: 64 };
+
 // 產生隨機 Session Token
 function generateSessionToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
-// 清理過期的 Sessions
-function cleanExpiredSessions() {
-  const now = Date.now();
-  for (const [token, session] of sessions.entries()) {
-    if (now - session.createdAt > SESSION_TIMEOUT) {
-      sessions.delete(token);
+// Session 以 Token 的 SHA-256 雜湊為 ID 儲存，列表與登出其他裝置時不會暴露 Token 本身
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const sessionConfig = config.session || {};
+
+// 閒置超過此時間的 Session 失效，每次使用都會重新計算（滑動期限）
+const SESSION_IDLE_TIMEOUT = parseInt(sessionConfig.idleTimeout || 24 * 60 * 60 * 1000);
+// 不論是否持續使用，登入超過此時間就必須重新登入
+const SESSION_MAX_LIFETIME = parseInt(sessionConfig.maxLifetime || 30 * 24 * 60 * 60 * 1000);
+// 最後使用時間最多每分鐘寫入一次，避免每個請求都寫入資料庫
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+function isSessionExpired(session, now = Date.now()) {
+  return now - session.lastSeenAt > SESSION_IDLE_TIMEOUT || now - session.createdAt > SESSION_MAX_LIFETIME;
+}
+
+function getSessionExpiresAt(session) {
+  return Math.min(session.lastSeenAt + SESSION_IDLE_TIMEOUT, session.createdAt + SESSION_MAX_LIFETIME);
+}
+
+// Session 儲存後端，皆提供相同的非同步介面：
+// get / create / touch / destroy / destroyUser / updateUser / list / purgeExpired
+const sessionStores = {
+  // 記憶體儲存：適合單一伺服器，重新啟動後所有 Session 失效
+  memory: {
+    sessions: new Map(),
+    
+    async get(id) {
+      const session = this.sessions.get(id);
+      return session ? { ...session } : null;
+    },
+    
+    async create(session) {
+      this.sessions.set(session.id, { ...session });
+    },
+    
+    async touch(id, lastSeenAt) {
+      const session = this.sessions.get(id);
+      if (session) {
+        session.lastSeenAt = lastSeenAt;
+      }
+    },
+    
+    async destroy(id) {
+      return this.sessions.delete(id) ? 1 : 0;
+    },
+    
+    async destroyUser(userId, exceptId = null) {
+      let count = 0;
+      for (const [id, session] of this.sessions.entries()) {
+        if (session.userId === userId && id !== exceptId) {
+          this.sessions.delete(id);
+          count++;
+        }
+      }
+      return count;
+    },
+    
+    async updateUser(userId, changes) {
+      for (const session of this.sessions.values()) {
+        if (session.userId === userId) {
+          Object.assign(session, changes);
+        }
+      }
+    },
+    
+    async list(userId = null) {
+      return Array.from(this.sessions.values())
+        .filter(session => userId === null || session.userId === userId)
+        .map(session => ({ ...session }));
+    },
+    
+    async purgeExpired(now) {
+      let count = 0;
+      for (const [id, session] of this.sessions.entries()) {
+        if (isSessionExpired(session, now)) {
+          this.sessions.delete(id);
+          count++;
+        }
+      }
+      return count;
+    }
+  },
+  
+  // MySQL 儲存：重新啟動後仍有效，多台伺服器可共用同一個資料庫
+  mysql: {
+    fromRow(row) {
+      return {
+        id: row.id,
+        userId: row.user_id,
+        username: row.username,
+        role: row.role,
+        ip: row.ip,
+        userAgent: row.user_agent,
+        createdAt: new Date(row.created_at).getTime(),
+        lastSeenAt: new Date(row.last_seen_at).getTime()
+      };
+    },
+    
+    async get(id) {
+      const rows = await queryDatabase('SELECT * FROM admin_sessions WHERE id = ?', [id]);
+      return rows.length > 0 ? this.fromRow(rows[0]) : null;
+    },
+    
+    async create(session) {
+      await queryDatabase(
+        'INSERT INTO admin_sessions (id, user_id, username, role, ip, user_agent, created_at, last_seen_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [session.id, session.userId, session.username, session.role, session.ip, session.userAgent,
+          new Date(session.createdAt), new Date(session.lastSeenAt)]
+      );
+    },
+    
+    async touch(id, lastSeenAt) {
+      await queryDatabase('UPDATE admin_sessions SET last_seen_at = ? WHERE id = ?', [new Date(lastSeenAt), id]);
+    },
+    
+    async destroy(id) {
+      const result = await queryDatabase('DELETE FROM admin_sessions WHERE id = ?', [id]);
+      return result.affectedRows;
+    },
+    
+    async destroyUser(userId, exceptId = null) {
+      const result = await queryDatabase(
+        'DELETE FROM admin_sessions WHERE user_id = ? AND id <> ?',
+        [userId, exceptId || '']
+      );
+      return result.affectedRows;
+    },
+    
+    async updateUser(userId, changes) {
+      if (changes.role !== undefined) {
+        await queryDatabase('UPDATE admin_sessions SET role = ? WHERE user_id = ?', [changes.role, userId]);
+      }
+    },
+    
+    async list(userId = null) {
+      const rows = userId === null
+        ? await queryDatabase('SELECT * FROM admin_sessions')
+        : await queryDatabase('SELECT * FROM admin_sessions WHERE user_id = ?', [userId]);
+      return rows.map(row => this.fromRow(row));
+    },
+    
+    async purgeExpired(now) {
+      const result = await queryDatabase(
+        'DELETE FROM admin_sessions WHERE last_seen_at < ? OR created_at < ?',
+        [new Date(now - SESSION_IDLE_TIMEOUT), new Date(now - SESSION_MAX_LIFETIME)]
+      );
+      return result.affectedRows;
     }
   }
+};
+
+const SESSION_STORE_NAME = sessionStores[sessionConfig.store] ? sessionConfig.store : 'memory';
+if (sessionConfig.store && sessionConfig.store !== SESSION_STORE_NAME) {
+  console.warn(`未知的 Session 儲存方式「${sessionConfig.store}」，改用 memory`);
 }
+const sessionStore = sessionStores[SESSION_STORE_NAME];
 
 // 每小時清理一次過期 Session
-setInterval(cleanExpiredSessions, 60 * 60 * 1000);
+setInterval(() => {
+  sessionStore.purgeExpired(Date.now())
+    .catch(error => console.error('清理過期 Session 失敗:', error.message));
+}, 60 * 60 * 1000);
+
+function scryptAsync(password, salt, { N, r, p, keylen }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keylen, { N, r, p }, (err, derivedKey) => {
+      if (err) reject(err);
+      else resolve(derivedKey);
+    });
+  });
+}
+
+// 雜湊密碼，格式：scrypt$N$r$p$salt$hash（salt 與 hash 為 base64）
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derivedKey = await scryptAsync(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+  
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const derivedKey = await scryptAsync(password, Buffer.from(salt, 'base64'), {
+    N: Number(N), r: Number(r), p: Number(p), keylen: expected.length
+  });
+  return crypto.timingSafeEqual(derivedKey, expected);
+}
+
+function hasAdminRole(role, minRole) {
+  return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(minRole);
+}
+
+// 驗證密碼長度，回傳錯誤訊息陣列
+function validatePassword(password, field = 'password') {
+  if (typeof password !== 'string') {
+    return [`欄位 ${field} 必須是 string 類型`];
+  }
+  if (password.length < ADMIN_PASSWORD_MIN_LENGTH || password.length > ADMIN_PASSWORD_MAX_LENGTH) {
+    return [`欄位 ${field} 長度必須介於 ${ADMIN_PASSWORD_MIN_LENGTH} 到 ${ADMIN_PASSWORD_MAX_LENGTH} 個字元`];
+  }
+  return [];
+}
+
+// 取得有效的 Session 並延長閒置期限；無效或過期時回傳 null
+async function getActiveSession(token) {
+  if (!token) {
+    return null;
+  }
+  
+  const id = hashSessionToken(token);
+  const session = await sessionStore.get(id);
+  if (!session) {
+    return null;
+  }
+  
+  const now = Date.now();
+  if (isSessionExpired(session, now)) {
+    await sessionStore.destroy(id);
+    return null;
+  }
+  
+  if (now - session.lastSeenAt >= SESSION_TOUCH_INTERVAL) {
+    session.lastSeenAt = now;
+    await sessionStore.touch(id, now);
+  }
+  return session;
+}
 
 // 驗證 Session 中介軟體
-function requireAdminSession(req, res, next) {
+async function requireAdminSession(req, res, next) {
   const token = req.headers['x-session-token'];
   
   if (!token) {
@@ -100,37 +347,80 @@ function requireAdminSession(req, res, next) {
     });
   }
   
-  const session = sessions.get(token);
-  
-  if (!session) {
-    return res.status(401).json({
-      error: 'Session 無效',
-      message: '請重新登入',
+  let session;
+  try {
+    session = await getActiveSession(token);
+  } catch (error) {
+    console.error('Session 驗證錯誤:', error);
+    return res.status(500).json({
+      error: '無法驗證 Session',
+      message: '伺服器內部錯誤，請稍後再試',
       timestamp: new Date().toISOString()
     });
   }
   
-  // 檢查是否過期
-  if (Date.now() - session.createdAt > SESSION_TIMEOUT) {
-    sessions.delete(token);
+  if (!session) {
     return res.status(401).json({
-      error: 'Session 已過期',
+      error: 'Session 無效或已過期',
       message: '請重新登入',
       timestamp: new Date().toISOString()
     });
   }
   
   req.adminUser = session.username;
+  req.adminUserId = session.userId;
+  req.adminRole = session.role;
+  req.sessionId = session.id;
   next();
 }
 
-// POST /api/admin/login - 管理員登入
-app.post('/api/admin/login', async (req, res) => {
+// 角色檢查中介軟體，需放在 requireAdminSession 之後
+function requireAdminRole(minRole) {
+  return (req, res, next) => {
+    if (!hasAdminRole(req.adminRole, minRole)) {
+      return res.status(403).json({
+        error: '權限不足',
+        message: `此操作需要 ${minRole} 以上的角色，目前角色為 ${req.adminRole}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  };
+}
+
+// 查詢登入帳號；admin_users 為空時，以設定檔中的帳號密碼建立第一個 owner
+async function authenticateAdminUser(username, password) {
+  const rows = await queryDatabase('SELECT id, username, password_hash, role FROM admin_users WHERE username = ?', [username]);
+  
+  if (rows.length > 0) {
+    return (await verifyPassword(password, rows[0].password_hash)) ? rows[0] : null;
+  }
+  
+  const bootstrap = config.admin || {};
+  if (!bootstrap.username || !bootstrap.password) {
+    return null;
+  }
+  
+  const [{ total }] = await queryDatabase('SELECT COUNT(*) AS total FROM admin_users');
+  if (total > 0 || !safeEqual(username, bootstrap.username) || !safeEqual(password, bootstrap.password)) {
+    return null;
+  }
+  
+  const result = await queryDatabase(
+    'INSERT INTO admin_users (username, password_hash, role, created_by) VALUES (?, ?, ?, ?)',
+    [username, await hashPassword(password), 'owner', 'config']
+  );
+  console.log(`已從設定檔建立初始擁有者帳號: ${username}`);
+  return { id: result.insertId, username, role: 'owner' };
+}
+
+// POST /api/admin/login - 管理員登入（每分鐘最多 10 次嘗試）
+app.post('/api/admin/login', rateLimit(60000, 10), async (req, res) => {
   try {
     const { username, password } = req.body;
     
     // 驗證輸入
-    if (!username || !password) {
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
       return res.status(400).json({
         error: '缺少參數',
         message: '請提供帳號和密碼',
@@ -139,7 +429,8 @@ app.post('/api/admin/login', async (req, res) => {
     }
     
     // 驗證帳號密碼
-    if (username !== config.admin.username || password !== config.admin.password) {
+    const user = await authenticateAdminUser(username, password);
+    if (!user) {
       // 為了安全，等待一段隨機時間（防止時間攻擊）
       await new Promise(resolve => setTimeout(resolve, Math.random() * 1000 + 500));
       
@@ -152,21 +443,33 @@ app.post('/api/admin/login', async (req, res) => {
       });
     }
     
+    await queryDatabase('UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP, last_login_ip = ? WHERE id = ?', [req.ip || null, user.id]);
+    
     // 產生 Session Token
     const sessionToken = generateSessionToken();
+    const now = Date.now();
     
-    // 儲存 Session
-    sessions.set(sessionToken, {
-      username: username,
-      createdAt: Date.now()
+    // 儲存 Session（只保存 Token 的雜湊）
+    await sessionStore.create({
+      id: hashSessionToken(sessionToken),
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      ip: req.ip || null,
+      userAgent: (req.get('User-Agent') || '').substring(0, 255) || null,
+      createdAt: now,
+      lastSeenAt: now
     });
     
-    console.log(`管理員登入成功: ${username} from ${req.ip}`);
+    console.log(`管理員登入成功: ${user.username} (${user.role}) from ${req.ip}`);
+    await recordAudit(req, 'admin.login', { entityType: 'session', entityId: user.username, actor: { type: 'admin', id: user.username } });
     
     res.json({
       success: true,
       token: sessionToken,
-      expiresIn: SESSION_TIMEOUT / 1000, // 秒數
+      username: user.username,
+      role: user.role,
+      expiresIn: SESSION_IDLE_TIMEOUT / 1000, // 秒數，閒置期限，每次使用都會延長
       message: '登入成功',
       timestamp: new Date().toISOString()
     });
@@ -182,18 +485,29 @@ app.post('/api/admin/login', async (req, res) => {
 });
 
 // POST /api/admin/logout - 管理員登出
-app.post('/api/admin/logout', (req, res) => {
-  const token = req.headers['x-session-token'];
-  
-  if (token) {
-    sessions.delete(token);
+app.post('/api/admin/logout', async (req, res) => {
+  try {
+    const token = req.headers['x-session-token'];
+    const session = token ? await sessionStore.get(hashSessionToken(token)) : null;
+    
+    if (session) {
+      await sessionStore.destroy(session.id);
+      await recordAudit(req, 'admin.logout', { entityType: 'session', entityId: session.username, actor: { type: 'admin', id: session.username } });
+    }
+    
+    res.json({
+      success: true,
+      message: '登出成功',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('登出錯誤:', error);
+    res.status(500).json({
+      error: '登出失敗',
+      message: '伺服器內部錯誤',
+      timestamp: new Date().toISOString()
+    });
   }
-  
-  res.json({
-    success: true,
-    message: '登出成功',
-    timestamp: new Date().toISOString()
-  });
 });
 
 // GET /api/admin/verify - 驗證 Session 是否有效
@@ -201,11 +515,131 @@ app.get('/api/admin/verify', requireAdminSession, (req, res) => {
   res.json({
     success: true,
     username: req.adminUser,
+    role: req.adminRole,
     message: 'Session 有效',
     timestamp: new Date().toISOString()
   });
 });
 
+const SESSION_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+function formatSession(session, currentId) {
+  return {
+    id: session.id,
+    userId: session.userId,
+    username: session.username,
+    role: session.role,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+    expiresAt: new Date(getSessionExpiresAt(session)).toISOString(),
+    current: session.id === currentId
+  };
+}
+
+// GET /api/admin/sessions - 列出自己已登入的 Session；owner 可加上 all=true 查看所有帳號
+app.get('/api/admin/sessions', requireAdminSession, async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true';
+    if (showAll && !hasAdminRole(req.adminRole, 'owner')) {
+      return res.status(403).json({
+        error: '權限不足',
+        message: '只有 owner 可以查看所有帳號的 Session',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const now = Date.now();
+    const sessions = (await sessionStore.list(showAll ? null : req.adminUserId))
+      .filter(session => !isSessionExpired(session, now))
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    
+    res.json({
+      success: true,
+      store: SESSION_STORE_NAME,
+      idleTimeout: SESSION_IDLE_TIMEOUT / 1000,
+      maxLifetime: SESSION_MAX_LIFETIME / 1000,
+      sessions: sessions.map(session => formatSession(session, req.sessionId)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('查詢 Session 錯誤:', error);
+    res.status(500).json({
+      error: '無法查詢 Session',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /api/admin/sessions/:id - 登出指定的 Session（自己的 Session，owner 可登出任何人）
+app.delete('/api/admin/sessions/:id', requireAdminSession, async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const session = SESSION_ID_PATTERN.test(sessionId) ? await sessionStore.get(sessionId) : null;
+    
+    if (!session || (session.userId !== req.adminUserId && !hasAdminRole(req.adminRole, 'owner'))) {
+      return res.status(404).json({
+        error: 'Session 不存在',
+        message: '找不到指定的 Session，可能已經登出或過期',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    await sessionStore.destroy(sessionId);
+    
+    console.log('登出指定 Session:', { username: session.username, ip: session.ip, by: req.adminUser });
+    await recordAudit(req, 'admin.session_revoke', {
+      entityType: 'session',
+      entityId: session.username,
+      before: formatSession(session, req.sessionId)
+    });
+    
+    res.json({
+      success: true,
+      message: session.id === req.sessionId ? '已登出目前的 Session' : 'Session 已登出',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('登出 Session 錯誤:', error);
+    res.status(500).json({
+      error: '無法登出 Session',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/logout-all - 登出自己所有的 Session；keepCurrent 為 true 時保留目前這個
+app.post('/api/admin/logout-all', requireAdminSession, async (req, res) => {
+  try {
+    const keepCurrent = req.body && req.body.keepCurrent === true;
+    const count = await sessionStore.destroyUser(req.adminUserId, keepCurrent ? req.sessionId : null);
+    
+    console.log('登出所有 Session:', { username: req.adminUser, count, keepCurrent });
+    await recordAudit(req, 'admin.logout_all', {
+      entityType: 'session',
+      entityId: req.adminUser,
+      after: { count, keepCurrent }
+    });
+    
+    res.json({
+      success: true,
+      count,
+      message: keepCurrent ? `已登出其他 ${count} 個 Session` : `已登出全部 ${count} 個 Session`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('登出所有 Session 錯誤:', error);
+    res.status(500).json({
+      error: '無法登出所有 Session',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // 資料庫連線池
 const db = mysql.createPool({
   host: config.db.host,
@@ -247,7 +681,8 @@ async function testDatabaseConnection() {
 }
 
 // 資料庫查詢包裝函數（內建 SQL injection 防護）
-function queryDatabase(sql, params = []) {
+// executor 預設為連線池，交易中可傳入單一連線
+function queryDatabase(sql, params = [], executor = db) {
   return new Promise((resolve, reject) => {
     const startTime = Date.now();
     
@@ -270,7 +705,7 @@ function queryDatabase(sql, params = []) {
       return;
     }
     
-    db.query(sql, params, (err, results) => {
+    executor.query(sql, params, (err, results) => {
       const duration = Date.now() - startTime;
       
       if (err) {
@@ -294,6 +729,344 @@ function queryDatabase(sql, params = []) {
   });
 }
 
+// 交易包裝函數：取得獨立連線，callback 內的查詢都在同一個交易中執行
+async function withTransaction(callback) {
+  const connection = await new Promise((resolve, reject) => {
+    db.getConnection((err, conn) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(conn);
+    });
+  });
+  
+  const query = (sql, params = []) => queryDatabase(sql, params, connection);
+  
+  try {
+    await query('START TRANSACTION');
+    const result = await callback(query);
+    await query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('交易回滾失敗:', rollbackError.message);
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// ==================== 資料庫結構升級 ====================
+// 既有部署不必重新匯入 db.sql（會刪除所有資料）：啟動時依序補上缺少的資料表、欄位與索引
+// 每個步驟都可以重複執行，完成的步驟記錄在 schema_migrations 表中
+
+async function tableExists(table) {
+  const rows = await queryDatabase(
+    'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  return rows.length > 0;
+}
+
+async function columnExists(table, column) {
+  const rows = await queryDatabase(
+    'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function indexExists(table, index) {
+  const rows = await queryDatabase(
+    'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+// 建立缺少的資料表，回傳是否為新建立（新建立時才寫入預設資料）
+async function ensureTable(table, definition) {
+  if (await tableExists(table)) {
+    return false;
+  }
+  await queryDatabase(`CREATE TABLE ${table} (${definition}) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`);
+  return true;
+}
+
+// 補上缺少的欄位，回傳是否為新增（definition 為 ADD COLUMN 之後的欄位定義）
+async function ensureColumn(table, column, definition) {
+  if (await columnExists(table, column)) {
+    return false;
+  }
+  await queryDatabase(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+// 補上缺少的索引（definition 為 ADD 之後的索引定義，例如 INDEX idx_x (col)）
+async function ensureIndex(table, index, definition) {
+  if (!(await indexExists(table, index))) {
+    await queryDatabase(`ALTER TABLE ${table} ADD ${definition}`);
+  }
+}
+
+// 補上缺少的外鍵（db.sql 建立的外鍵沒有命名，因此以欄位判斷是否已存在）
+async function ensureForeignKey(table, column, reference) {
+  const rows = await queryDatabase(
+    `SELECT 1 FROM information_schema.KEY_COLUMN_USAGE
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL`,
+    [table, column]
+  );
+  if (rows.length === 0) {
+    await queryDatabase(`ALTER TABLE ${table} ADD FOREIGN KEY (${column}) REFERENCES ${reference}`);
+  }
+}
+
+// 升級步驟依陣列順序執行；新步驟一律加在最後，已發布的 id 不可更改
+const SCHEMA_MIGRATIONS = [
+  {
+    id: '009-relation-types',
+    description: '關係類型與 relations.type_id',
+    async up() {
+      const created = await ensureTable('relation_types', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        slug VARCHAR(50) NOT NULL UNIQUE COMMENT '類型代碼（例如：friend、couple）',
+        label VARCHAR(100) NOT NULL COMMENT '顯示名稱',
+        color CHAR(7) DEFAULT '#808080' COMMENT '關係圖連線顏色',
+        line_style ENUM('solid', 'dashed', 'dotted') DEFAULT 'solid' COMMENT '關係圖連線樣式',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`);
+      if (created) {
+        await queryDatabase(`INSERT INTO relation_types (slug, label, color, line_style) VALUES
+          ('met-at-event', '活動認識', '#3498DB', 'dashed'),
+          ('friend', '朋友', '#77B55A', 'solid'),
+          ('couple', '情侶', '#E91E63', 'solid'),
+          ('colleague', '同事', '#F39C12', 'dotted')`);
+      }
+      await ensureColumn('relations', 'type_id', "INT NULL COMMENT '關係類型' AFTER to_person_id");
+      await ensureForeignKey('relations', 'type_id', 'relation_types(id) ON DELETE SET NULL');
+    }
+  },
+  {
+    id: '010-relation-entries',
+    description: '關係歷程',
+    async up() {
+      const created = await ensureTable('relation_entries', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        relation_id INT NOT NULL,
+        action ENUM('created', 'appended', 'edited') NOT NULL DEFAULT 'appended' COMMENT 'created=建立關係, appended=補充內容, edited=管理員修改',
+        body TEXT COMMENT '此次記錄的關係內容',
+        actor_type ENUM('api_key', 'admin', 'telegram', 'system') NOT NULL DEFAULT 'system' COMMENT '操作者類型',
+        actor_id VARCHAR(255) COMMENT 'API Key 名稱、管理員帳號或 Telegram 使用者 ID',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_relation_entries_relation (relation_id, created_at),
+        FOREIGN KEY (relation_id) REFERENCES relations(id) ON DELETE CASCADE`);
+      if (created) {
+        // 以既有的關係來源建立第一筆歷程
+        await queryDatabase(`INSERT INTO relation_entries (relation_id, action, body, actor_type, created_at)
+          SELECT id, 'created', source, 'system', created_at FROM relations`);
+      }
+    }
+  },
+  {
+    id: '011-audit-log',
+    description: '稽核紀錄',
+    async up() {
+      await ensureTable('audit_log', `
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        action VARCHAR(50) NOT NULL COMMENT '操作代碼（例如：person.create、relation.delete）',
+        entity_type VARCHAR(50) NOT NULL COMMENT '操作對象類型',
+        entity_id VARCHAR(64) COMMENT '操作對象 ID',
+        actor_type ENUM('api_key', 'admin', 'telegram', 'system') NOT NULL DEFAULT 'system' COMMENT '操作者類型',
+        actor_id VARCHAR(255) COMMENT 'API Key 名稱、管理員帳號或 Telegram 使用者 ID',
+        ip VARCHAR(45) COMMENT '來源 IP',
+        method VARCHAR(10) COMMENT 'HTTP 方法',
+        path VARCHAR(255) COMMENT '請求路徑（不含查詢字串）',
+        before_data JSON COMMENT '操作前的資料',
+        after_data JSON COMMENT '操作後的資料',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_audit_log_created (created_at),
+        INDEX idx_audit_log_entity (entity_type, entity_id),
+        INDEX idx_audit_log_actor (actor_type, actor_id)`);
+    }
+  },
+  {
+    id: '012-soft-delete',
+    description: '人物、關係與背景的 deleted_at（垃圾桶）',
+    async up() {
+      const definition = "TIMESTAMP NULL DEFAULT NULL COMMENT '軟刪除時間，NULL 表示未刪除'";
+      await ensureColumn('persons', 'deleted_at', `${definition} AFTER created_at`);
+      await ensureIndex('persons', 'idx_persons_deleted', 'INDEX idx_persons_deleted (deleted_at)');
+      await ensureColumn('relations', 'deleted_at', `${definition} AFTER created_at`);
+      await ensureIndex('relations', 'idx_relations_deleted', 'INDEX idx_relations_deleted (deleted_at)');
+      await ensureColumn('person_backgrounds', 'deleted_at', `${definition} AFTER updated_at`);
+      const owner = "INT NULL DEFAULT NULL COMMENT '隨人物一併刪除時記錄該人物 ID，還原人物時一併還原'";
+      await ensureColumn('relations', 'deleted_with_person_id', `${owner} AFTER deleted_at`);
+      await ensureColumn('person_backgrounds', 'deleted_with_person_id', `${owner} AFTER deleted_at`);
+    }
+  },
+  {
+    id: '013-api-keys',
+    description: 'API 金鑰',
+    async up() {
+      await ensureTable('api_keys', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE COMMENT '金鑰名稱（例如：n8n-bot），會記錄在稽核紀錄中',
+        key_prefix VARCHAR(16) NOT NULL COMMENT '金鑰前綴，用於查詢與辨識',
+        key_hash CHAR(64) NOT NULL COMMENT '金鑰的 SHA-256 雜湊',
+        scopes SET('read', 'write:persons', 'write:relations', 'delete', 'render') NOT NULL COMMENT '權限範圍',
+        expires_at TIMESTAMP NULL DEFAULT NULL COMMENT '到期時間，NULL 表示不會過期',
+        last_used_at TIMESTAMP NULL DEFAULT NULL COMMENT '最後使用時間',
+        last_used_ip VARCHAR(45) COMMENT '最後使用的 IP',
+        revoked_at TIMESTAMP NULL DEFAULT NULL COMMENT '撤銷時間',
+        created_by VARCHAR(255) COMMENT '建立者（管理員帳號）',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_api_keys_prefix (key_prefix)`);
+    }
+  },
+  {
+    id: '014-admin-users',
+    description: '管理員帳號',
+    async up() {
+      // 第一個 owner 會在資料表為空時，以設定檔 admin.username / admin.password 第一次登入時自動建立
+      await ensureTable('admin_users', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(100) NOT NULL UNIQUE COMMENT '登入帳號',
+        password_hash VARCHAR(255) NOT NULL COMMENT '密碼雜湊（格式：scrypt$N$r$p$salt$hash）',
+        role ENUM('viewer', 'editor', 'owner') NOT NULL DEFAULT 'viewer' COMMENT 'viewer=僅檢視, editor=可修改資料, owner=可管理帳號與金鑰',
+        last_login_at TIMESTAMP NULL DEFAULT NULL COMMENT '最後登入時間',
+        last_login_ip VARCHAR(45) COMMENT '最後登入 IP',
+        created_by VARCHAR(100) COMMENT '建立者（管理員帳號，初始帳號為 config）',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP`);
+    }
+  },
+  {
+    id: '015-admin-sessions',
+    description: '管理員 Session（session.store 為 mysql 時使用）',
+    async up() {
+      await ensureTable('admin_sessions', `
+        id CHAR(64) PRIMARY KEY COMMENT 'Session Token 的 SHA-256 雜湊',
+        user_id INT NOT NULL,
+        username VARCHAR(100) NOT NULL,
+        role ENUM('viewer', 'editor', 'owner') NOT NULL,
+        ip VARCHAR(45) COMMENT '登入時的 IP',
+        user_agent VARCHAR(255) COMMENT '登入時的 User-Agent',
+        created_at DATETIME(3) NOT NULL COMMENT '登入時間',
+        last_seen_at DATETIME(3) NOT NULL COMMENT '最後使用時間（滑動期限以此計算）',
+        INDEX idx_admin_sessions_user (user_id),
+        INDEX idx_admin_sessions_last_seen (last_seen_at),
+        FOREIGN KEY (user_id) REFERENCES admin_users(id) ON DELETE CASCADE`);
+    }
+  },
+  {
+    id: '016-rate-limits',
+    description: '速率限制計數（rateLimit.store 為 mysql 時使用）',
+    async up() {
+      await ensureTable('rate_limits', `
+        bucket VARCHAR(255) PRIMARY KEY COMMENT '路由與客戶端組合（例如：POST /api/addEdge|key:n8n-bot）',
+        route VARCHAR(100) NOT NULL COMMENT '方法與路由路徑',
+        client VARCHAR(150) NOT NULL COMMENT 'key:金鑰名稱、admin:管理員帳號 或 ip:來源 IP',
+        window_start BIGINT NOT NULL COMMENT '目前計數視窗的開始時間（毫秒）',
+        window_ms INT NOT NULL COMMENT '計數視窗長度（毫秒）',
+        max_hits INT NOT NULL COMMENT '視窗內允許的請求數',
+        hits INT NOT NULL DEFAULT 0 COMMENT '視窗內的請求數（含被拒絕的）',
+        INDEX idx_rate_limits_window (window_start)`);
+    }
+  },
+  {
+    id: '017-telegram-users',
+    description: 'Telegram 使用者權限',
+    async up() {
+      const created = await ensureTable('telegram_users', `
+        telegram_user_id VARCHAR(20) PRIMARY KEY COMMENT 'Telegram 使用者數字 ID',
+        display_name VARCHAR(100) COMMENT '方便辨識的名稱',
+        status ENUM('user', 'admin', 'blocked') NOT NULL DEFAULT 'user' COMMENT 'user=一般使用者, admin=管理員, blocked=黑名單',
+        permissions SET('write:persons', 'write:relations', 'delete') NULL DEFAULT NULL COMMENT '個別寫入權限，NULL 表示使用預設權限',
+        note VARCHAR(255) COMMENT '備註（例如封鎖原因）',
+        created_by VARCHAR(100) COMMENT '建立者（管理員帳號）',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_telegram_users_status (status)`);
+      if (created) {
+        // 原本寫在 Bot 提示詞中的管理員與黑名單
+        await queryDatabase(`INSERT INTO telegram_users (telegram_user_id, status, note, created_by) VALUES
+          ('5696594479', 'admin', '機器人管理員', 'system'),
+          ('7444364698', 'blocked', '黑名單', 'system')`);
+      }
+    }
+  },
+  {
+    id: '018-person-identity',
+    description: '人物的 Telegram 帳號欄位與別名',
+    async up() {
+      await ensureColumn('persons', 'telegram_username', "VARCHAR(32) NULL DEFAULT NULL COMMENT 'Telegram 使用者名稱（不含 @，不分大小寫唯一）' AFTER gender");
+      await ensureColumn('persons', 'telegram_id', "VARCHAR(20) NULL DEFAULT NULL COMMENT 'Telegram 使用者數字 ID' AFTER telegram_username");
+      await ensureIndex('persons', 'uniq_persons_telegram_username', 'UNIQUE KEY uniq_persons_telegram_username (telegram_username)');
+      await ensureIndex('persons', 'uniq_persons_telegram_id', 'UNIQUE KEY uniq_persons_telegram_id (telegram_id)');
+      await ensureTable('person_aliases', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        person_id INT NOT NULL,
+        alias VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_person_aliases_alias (alias),
+        INDEX idx_person_aliases_person (person_id),
+        FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE`);
+    }
+  },
+  {
+    id: '023-snapshots',
+    description: '資料快照',
+    async up() {
+      await ensureTable('snapshots', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        label VARCHAR(100) COMMENT '快照說明',
+        trigger_type ENUM('manual', 'scheduled', 'pre_restore', 'upload') NOT NULL COMMENT 'manual=手動建立, scheduled=排程, pre_restore=還原前自動備份, upload=上傳',
+        format_version INT NOT NULL COMMENT '快照格式版本',
+        created_by VARCHAR(100) COMMENT '建立者（管理員帳號或 system）',
+        person_count INT NOT NULL DEFAULT 0 COMMENT '人物數（不含垃圾桶）',
+        relation_count INT NOT NULL DEFAULT 0 COMMENT '關係數（不含垃圾桶）',
+        background_count INT NOT NULL DEFAULT 0 COMMENT '背景數（不含垃圾桶）',
+        checksum CHAR(64) NOT NULL COMMENT '資料內容的 SHA-256',
+        size_bytes INT NOT NULL COMMENT '壓縮後大小',
+        data LONGBLOB NOT NULL COMMENT 'gzip 壓縮的快照 JSON',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_snapshots_trigger (trigger_type, created_at)`);
+    }
+  },
+  {
+    id: '005-graph-version',
+    description: '多台伺服器共用的圖表版本（圖片快取與 ETag）',
+    async up() {
+      await ensureTable('graph_version', `
+        id TINYINT UNSIGNED PRIMARY KEY COMMENT '固定為 1（只有一列）',
+        version BIGINT UNSIGNED NOT NULL DEFAULT 0 COMMENT '每次寫入人物、關係或背景時遞增',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP`);
+      await queryDatabase('INSERT IGNORE INTO graph_version (id, version) VALUES (1, 0)');
+    }
+  }
+];
+
+// 套用尚未執行的升級步驟（config.db.autoMigrate 設為 false 時不執行）
+async function ensureSchema() {
+  await queryDatabase(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    id VARCHAR(100) PRIMARY KEY,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`);
+  
+  const applied = new Set((await queryDatabase('SELECT id FROM schema_migrations')).map(row => row.id));
+  for (const migration of SCHEMA_MIGRATIONS) {
+    if (applied.has(migration.id)) {
+      continue;
+    }
+    console.log(`套用資料庫升級: ${migration.id}（${migration.description}）`);
+    await migration.up();
+    await queryDatabase('INSERT INTO schema_migrations (id) VALUES (?)', [migration.id]);
+  }
+}
+
 // 輸入驗證中介軟體
 function validateInput(schema) {
   return (req, res, next) => {
@@ -355,78 +1128,522 @@ function validateInput(schema) {
   };
 }
 
-// API Key 驗證中介軟體
-function requireApiKey(req, res, next) {
-  // 檢查配置中是否有 API Key
-  if (!config.api || !config.api.key) {
-    console.error('伺服器配置錯誤: 缺少 API Key 設定');
-    return res.status(500).json({
-      error: '伺服器配置錯誤',
-      message: '請聯繫管理員檢查伺服器設定',
-      timestamp: new Date().toISOString()
-    });
+// ==================== API Key ====================
+
+// API Key 權限範圍
+const API_KEY_SCOPES = ['read', 'write:persons', 'write:relations', 'delete', 'render'];
+// 以管理員 Session 呼叫同一路由時，各權限範圍需要的最低角色
+const SCOPE_ADMIN_ROLES = {
+  'read': 'viewer',
+  'render': 'viewer',
+  'write:persons': 'editor',
+  'write:relations': 'editor',
+  'delete': 'editor'
+};
+// 資料庫金鑰格式：sr_ + 48 個十六進位字元；前 11 個字元作為查詢用的前綴
+const API_KEY_PREFIX = 'sr_';
+const API_KEY_LOOKUP_LENGTH = API_KEY_PREFIX.length + 8;
+// last_used_at 最多每分鐘更新一次，避免每個請求都寫入資料庫
+const API_KEY_TOUCH_INTERVAL = 60 * 1000;
+const apiKeyTouches = new Map();
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// 固定時間比較兩個字串，避免時間攻擊
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  return { key, prefix: key.slice(0, API_KEY_LOOKUP_LENGTH), hash: hashApiKey(key) };
+}
+
+function parseApiKeyScopes(value) {
+  return (value || '').split(',').filter(scope => API_KEY_SCOPES.includes(scope));
+}
+
+function touchApiKey(keyId, ip) {
+  const now = Date.now();
+  if (now - (apiKeyTouches.get(keyId) || 0) < API_KEY_TOUCH_INTERVAL) {
+    return;
   }
+  apiKeyTouches.set(keyId, now);
   
-  const providedKey = req.headers['x-api-key'] || req.query.key;
+  queryDatabase('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?', [ip || null, keyId])
+    .catch(error => console.error('更新 API Key 使用時間失敗:', error.message));
+}
+
+// 驗證 API Key；成功回傳 { key: { id, name, scopes } }，失敗回傳 { error, message }
+async function authenticateApiKey(providedKey, ip) {
+  // 設定檔中的舊版單一金鑰擁有全部權限，以 config 名義記錄
+  if (config.api && config.api.key && safeEqual(providedKey, config.api.key)) {
+    return { key: { id: null, name: 'config', scopes: API_KEY_SCOPES } };
+  }
   
-  if (!providedKey) {
-    return res.status(401).json({
-      error: '缺少 API Key',
-      message: '請在 x-api-key 標頭或 key 查詢參數中提供 API Key',
+  const invalid = { error: 'API Key 無效', message: '提供的 API Key 不正確' };
+  if (!providedKey.startsWith(API_KEY_PREFIX) || providedKey.length < API_KEY_LOOKUP_LENGTH) {
+    return invalid;
+  }
+  
+  const rows = await queryDatabase(
+    'SELECT id, name, key_hash, scopes, expires_at, revoked_at FROM api_keys WHERE key_prefix = ?',
+    [providedKey.slice(0, API_KEY_LOOKUP_LENGTH)]
+  );
+  const providedHash = hashApiKey(providedKey);
+  const row = rows.find(r => safeEqual(r.key_hash, providedHash));
+  
+  if (!row) {
+    return invalid;
+  }
+  if (row.revoked_at) {
+    return { error: 'API Key 已撤銷', message: `API Key「${row.name}」已被撤銷，請向管理員申請新的金鑰` };
+  }
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+    return { error: 'API Key 已過期', message: `API Key「${row.name}」已於 ${new Date(row.expires_at).toISOString()} 過期` };
+  }
+  
+  touchApiKey(row.id, ip);
+  return { key: { id: row.id, name: row.name, scopes: parseApiKeyScopes(row.scopes) } };
+}
+
+// API Key 驗證失敗次數限制：路由的速率限制在驗證之後才依金鑰計算，因此另外以 IP 計算失敗次數，
+// 失敗太多次的 IP 在視窗結束前直接拒絕，不再比對金鑰或查詢資料庫
+// 計數與速率限制共用儲存後端（路由名稱為 AUTH x-api-key），使用 mysql 儲存時多台伺服器共用封鎖狀態
+const API_KEY_FAILURE_ROUTE = 'AUTH x-api-key';
+const API_KEY_FAILURE_DEFAULTS = { windowMs: 15 * 60 * 1000, max: 20 };
+
+// 依 config.rateLimit.authFailures 覆寫預設值，回傳目前視窗與計數 bucket
+function getApiKeyFailureWindow(ip) {
+  const override = (config.rateLimit && config.rateLimit.authFailures) || {};
+  const windowMs = parseInt(override.windowMs !== undefined ? override.windowMs : API_KEY_FAILURE_DEFAULTS.windowMs);
+  const max = parseInt(override.max !== undefined ? override.max : API_KEY_FAILURE_DEFAULTS.max);
+  const now = Date.now();
+  const client = `ip:${ip}`;
+  return { now, windowMs, max, windowStart: now - (now % windowMs), client, bucket: `${API_KEY_FAILURE_ROUTE}|${client}` };
+}
+
+// 回傳此 IP 還需等待的秒數，沒有被封鎖時回傳 0
+async function getApiKeyLockout(ip) {
+  const failureWindow = getApiKeyFailureWindow(ip);
+  if (!(failureWindow.max > 0)) {
+    return 0;
+  }
+  
+  let entry;
+  try {
+    entry = await rateLimitStore.get(failureWindow.bucket);
+  } catch (error) {
+    // 儲存後端故障時放行，與路由的速率限制相同
+    console.error('讀取 API Key 驗證失敗次數錯誤:', error.message);
+    return 0;
+  }
+  if (!entry || entry.windowStart !== failureWindow.windowStart || entry.hits < failureWindow.max) {
+    return 0;
+  }
+  return Math.max(1, Math.ceil((failureWindow.windowStart + failureWindow.windowMs - failureWindow.now) / 1000));
+}
+
+async function recordApiKeyFailure(ip) {
+  const failureWindow = getApiKeyFailureWindow(ip);
+  if (!(failureWindow.max > 0)) {
+    return;
+  }
+  
+  try {
+    await rateLimitStore.hit(failureWindow.bucket, {
+      route: API_KEY_FAILURE_ROUTE,
+      client: failureWindow.client,
+      windowStart: failureWindow.windowStart,
+      windowMs: failureWindow.windowMs,
+      max: failureWindow.max
+    });
+  } catch (error) {
+    console.error('記錄 API Key 驗證失敗次數錯誤:', error.message);
+  }
+}
+
+// 驗證 API Key 並檢查權限，成功時設定 req.apiKey；失敗時直接回應並回傳 false
+async function checkApiKey(req, res, providedKey, requiredScopes) {
+  const retryAfter = await getApiKeyLockout(req.ip);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: 'API Key 驗證失敗次數過多',
+      message: `請在 ${retryAfter} 秒後再試`,
+      retryAfter,
       timestamp: new Date().toISOString()
     });
+    return false;
   }
   
-  if (providedKey !== config.api.key) {
+  const result = await authenticateApiKey(providedKey, req.ip);
+  
+  if (result.error) {
     console.warn('API Key 驗證失敗:', {
-      providedKey: providedKey.substring(0, 8) + '...',
+      reason: result.error,
+      providedKey: providedKey.substring(0, API_KEY_LOOKUP_LENGTH) + '...',
       ip: req.ip,
       userAgent: req.get('User-Agent'),
-      url: req.url
+      url: req.originalUrl.split('?')[0]
     });
+    await recordApiKeyFailure(req.ip);
     
-    return res.status(403).json({
-      error: 'API Key 無效',
-      message: '提供的 API Key 不正確',
+    res.status(403).json({
+      error: result.error,
+      message: result.message,
       timestamp: new Date().toISOString()
     });
+    return false;
   }
   
-  next();
+  const missingScopes = requiredScopes.filter(scope => !result.key.scopes.includes(scope));
+  if (missingScopes.length > 0) {
+    res.status(403).json({
+      error: 'API Key 權限不足',
+      message: `此操作需要 ${missingScopes.join('、')} 權限`,
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+  
+  req.apiKey = result.key;
+  req.apiKeyName = result.key.name;
+  
+  // Bot 轉送的 Telegram 使用者也必須具備權限（封鎖的使用者一律拒絕）
+  return checkTelegramPolicy(req, res, requiredScopes);
+}
+
+// API Key 驗證中介軟體，參數為此路由需要的權限範圍
+function requireApiKey(...requiredScopes) {
+  return async (req, res, next) => {
+    const providedKey = req.headers['x-api-key'];
+    
+    if (!providedKey) {
+      return res.status(401).json({
+        error: '缺少 API Key',
+        message: req.query.key
+          ? '已不再支援 key 查詢參數，請改用 x-api-key 標頭提供 API Key'
+          : '請在 x-api-key 標頭中提供 API Key',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    try {
+      if (await checkApiKey(req, res, providedKey, requiredScopes)) {
+        next();
+      }
+    } catch (error) {
+      console.error('API Key 驗證錯誤:', error);
+      res.status(500).json({
+        error: '無法驗證 API Key',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+}
+
+// 驗證中間件：支援 Session 或 API Key（API Key 需具備指定權限）
+function requireSessionOrApiKey(...requiredScopes) {
+  return async (req, res, next) => {
+    const sessionToken = req.headers['x-session-token'];
+    const apiKey = req.headers['x-api-key'];
+    
+    // 優先檢查 Session Token，管理員角色需足以對應所需的權限範圍
+    let session;
+    try {
+      session = await getActiveSession(sessionToken);
+    } catch (error) {
+      console.error('Session 驗證錯誤:', error);
+      return res.status(500).json({
+        error: '無法驗證 Session',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (session) {
+      const minRole = requiredScopes.reduce(
+        (role, scope) => (hasAdminRole(role, SCOPE_ADMIN_ROLES[scope]) ? role : SCOPE_ADMIN_ROLES[scope]),
+        'viewer'
+      );
+      if (!hasAdminRole(session.role, minRole)) {
+        return res.status(403).json({
+          error: '權限不足',
+          message: `此操作需要 ${minRole} 以上的角色，目前角色為 ${session.role}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      req.adminUser = session.username;
+      req.adminUserId = session.userId;
+      req.adminRole = session.role;
+      req.sessionId = session.id;
+      return next();
+    }
+    
+    // 檢查 API Key
+    if (apiKey) {
+      try {
+        if (await checkApiKey(req, res, apiKey, requiredScopes)) {
+          next();
+        }
+      } catch (error) {
+        console.error('API Key 驗證錯誤:', error);
+        res.status(500).json({
+          error: '無法驗證 API Key',
+          message: '伺服器內部錯誤，請稍後再試',
+          timestamp: new Date().toISOString()
+        });
+      }
+      return;
+    }
+    
+    // 都沒有或都無效
+    return res.status(401).json({
+      error: '未授權',
+      message: '請提供有效的 Session Token 或 API Key',
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+// 查詢與圖片 API 預設公開；設定 api.protectReads 後需要具備對應權限的 API Key 或管理員 Session
+function requireReadAccess(scope) {
+  const check = requireSessionOrApiKey(scope);
+  return (req, res, next) => (config.api && config.api.protectReads ? check(req, res, next) : next());
+}
+
+// ==================== 速率限制 ====================
+
+const rateLimitConfig = config.rateLimit || {};
+
+// 超過計數視窗後沒有再出現的客戶端，每分鐘清除一次
+const RATE_LIMIT_PURGE_INTERVAL = 60 * 1000;
+
+// 速率限制儲存後端，皆提供相同的非同步介面：hit / get / list / purgeExpired
+// 採固定視窗計數：hit 回傳此視窗內（含本次）的請求數；get 只讀取計數，不存在時回傳 null
+const rateLimitStores = {
+  // 記憶體儲存：每個行程各自計數，重新啟動後歸零
+  memory: {
+    buckets: new Map(),
+    
+    async hit(bucket, { route, client, windowStart, windowMs, max }) {
+      let entry = this.buckets.get(bucket);
+      if (!entry || entry.windowStart !== windowStart) {
+        entry = { bucket, route, client, windowStart, windowMs, max, hits: 0 };
+        this.buckets.set(bucket, entry);
+      }
+      entry.hits++;
+      entry.max = max;
+      return entry.hits;
+    },
+    
+    async get(bucket) {
+      const entry = this.buckets.get(bucket);
+      return entry ? { ...entry } : null;
+    },
+    
+    async list() {
+      return Array.from(this.buckets.values()).map(entry => ({ ...entry }));
+    },
+    
+    async purgeExpired(now) {
+      let count = 0;
+      for (const [bucket, entry] of this.buckets.entries()) {
+        if (entry.windowStart + entry.windowMs <= now) {
+          this.buckets.delete(bucket);
+          count++;
+        }
+      }
+      return count;
+    }
+  },
+  
+  // MySQL 儲存：多台伺服器共用計數，重新啟動後仍保留
+  mysql: {
+    async hit(bucket, { route, client, windowStart, windowMs, max }) {
+      // 同一視窗累加，進入新視窗時重設為 1（MySQL 依序套用賦值，hits 判斷時 window_start 仍為舊值）
+      await queryDatabase(
+        `INSERT INTO rate_limits (bucket, route, client, window_start, window_ms, max_hits, hits)
+         VALUES (?, ?, ?, ?, ?, ?, 1)
+         ON DUPLICATE KEY UPDATE
+           hits = IF(window_start = VALUES(window_start), hits + 1, 1),
+           window_start = VALUES(window_start),
+           window_ms = VALUES(window_ms),
+           max_hits = VALUES(max_hits)`,
+        [bucket, route, client, windowStart, windowMs, max]
+      );
+      const rows = await queryDatabase('SELECT hits FROM rate_limits WHERE bucket = ?', [bucket]);
+      return rows.length > 0 ? rows[0].hits : 1;
+    },
+    
+    async get(bucket) {
+      const rows = await queryDatabase('SELECT window_start, window_ms, hits FROM rate_limits WHERE bucket = ?', [bucket]);
+      if (rows.length === 0) {
+        return null;
+      }
+      return { windowStart: Number(rows[0].window_start), windowMs: rows[0].window_ms, hits: rows[0].hits };
+    },
+    
+    async list() {
+      const rows = await queryDatabase('SELECT * FROM rate_limits');
+      return rows.map(row => ({
+        bucket: row.bucket,
+        route: row.route,
+        client: row.client,
+        windowStart: Number(row.window_start),
+        windowMs: row.window_ms,
+        max: row.max_hits,
+        hits: row.hits
+      }));
+    },
+    
+    async purgeExpired(now) {
+      const result = await queryDatabase('DELETE FROM rate_limits WHERE window_start + window_ms <= ?', [now]);
+      return result.affectedRows;
+    }
+  }
+};
+
+const RATE_LIMIT_STORE_NAME = rateLimitStores[rateLimitConfig.store] ? rateLimitConfig.store : 'memory';
+if (rateLimitConfig.store && rateLimitConfig.store !== RATE_LIMIT_STORE_NAME) {
+  console.warn(`未知的速率限制儲存方式「${rateLimitConfig.store}」，改用 memory`);
+}
+const rateLimitStore = rateLimitStores[RATE_LIMIT_STORE_NAME];
+
+setInterval(() => {
+  rateLimitStore.purgeExpired(Date.now())
+    .catch(error => console.error('清理速率限制紀錄失敗:', error.message));
+}, RATE_LIMIT_PURGE_INTERVAL);
+
+// 識別請求來源：API Key > 管理員帳號 > IP
+function getRateLimitClient(req) {
+  if (req.apiKey) return `key:${req.apiKey.name}`;
+  if (req.adminUser) return `admin:${req.adminUser}`;
+  return `ip:${req.ip}`;
+}
+
+// 依序套用：路由預設值 → config.rateLimit.routes → config.rateLimit.keys[金鑰名稱] → 該金鑰的 routes 設定
+function resolveRateLimit(route, defaults, apiKeyName) {
+  const keyConfig = apiKeyName && rateLimitConfig.keys ? rateLimitConfig.keys[apiKeyName] : null;
+  const layers = [
+    defaults,
+    rateLimitConfig.routes && rateLimitConfig.routes[route],
+    keyConfig,
+    keyConfig && keyConfig.routes && keyConfig.routes[route]
+  ];
+  
+  const limit = { ...defaults };
+  for (const layer of layers) {
+    if (!layer) continue;
+    if (layer.windowMs !== undefined) limit.windowMs = parseInt(layer.windowMs);
+    if (layer.max !== undefined) limit.max = parseInt(layer.max);
+  }
+  return limit;
 }
 
-// 速率限制中介軟體
+// 速率限制中介軟體，參數為路由預設值，可由設定檔依路由與 API Key 覆寫
+// 放在驗證之後時依 API Key 或管理員帳號計數，未驗證的請求（例如公開的查詢與圖片 API）依 IP 計數
+// 錯誤的 API Key 在進入路由限制前就會被拒絕，改由 API Key 驗證失敗次數限制（見 checkApiKey）保護
 function rateLimit(windowMs, maxRequests) {
-  const requests = new Map();
+  const defaults = { windowMs, max: maxRequests };
   
-  return (req, res, next) => {
-    const clientId = req.ip;
-    const now = Date.now();
+  return async (req, res, next) => {
+    const route = `${req.method} ${req.route ? req.route.path : req.path}`;
+    const client = getRateLimitClient(req);
+    const limit = resolveRateLimit(route, defaults, req.apiKey && req.apiKey.name);
     
-    if (!requests.has(clientId)) {
-      requests.set(clientId, []);
+    // max 設為 0 以下表示不限制
+    if (!(limit.max > 0)) {
+      return next();
     }
     
-    const clientRequests = requests.get(clientId);
+    const now = Date.now();
+    const windowStart = now - (now % limit.windowMs);
+    const resetSeconds = Math.max(1, Math.ceil((windowStart + limit.windowMs - now) / 1000));
+    
+    let hits;
+    try {
+      hits = await rateLimitStore.hit(`${route}|${client}`, {
+        route, client, windowStart, windowMs: limit.windowMs, max: limit.max
+      });
+    } catch (error) {
+      // 儲存後端故障時放行，避免速率限制拖垮整個 API
+      console.error('速率限制計數失敗:', error.message);
+      return next();
+    }
     
-    // 清理過期的請求記錄
-    const validRequests = clientRequests.filter(timestamp => now - timestamp < windowMs);
-    requests.set(clientId, validRequests);
+    res.set({
+      'RateLimit-Policy': `${limit.max};w=${Math.ceil(limit.windowMs / 1000)}`,
+      'RateLimit-Limit': String(limit.max),
+      'RateLimit-Remaining': String(Math.max(0, limit.max - hits)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
     
-    if (validRequests.length >= maxRequests) {
+    if (hits > limit.max) {
+      if (hits === limit.max + 1) {
+        console.warn('速率限制觸發:', { route, client, max: limit.max, windowMs: limit.windowMs });
+      }
+      
+      res.set('Retry-After', String(resetSeconds));
       return res.status(429).json({
         error: '請求過於頻繁',
-        message: `請在 ${Math.ceil(windowMs / 1000)} 秒內最多發送 ${maxRequests} 個請求`,
-        retryAfter: Math.ceil(windowMs / 1000),
+        message: `請在 ${Math.ceil(limit.windowMs / 1000)} 秒內最多發送 ${limit.max} 個請求`,
+        retryAfter: resetSeconds,
         timestamp: new Date().toISOString()
       });
     }
     
-    validRequests.push(now);
     next();
   };
 }
 
+// GET /api/admin/rate-limits - 查看目前計數視窗內的客戶端；throttled=true 只列出已被限制的
+app.get('/api/admin/rate-limits', requireAdminSession, async (req, res) => {
+  try {
+    const now = Date.now();
+    const onlyThrottled = req.query.throttled === 'true';
+    
+    const clients = (await rateLimitStore.list())
+      .filter(entry => entry.windowStart + entry.windowMs > now)
+      .map(entry => ({
+        route: entry.route,
+        client: entry.client,
+        hits: entry.hits,
+        limit: entry.max,
+        remaining: Math.max(0, entry.max - entry.hits),
+        rejected: Math.max(0, entry.hits - entry.max),
+        throttled: entry.hits > entry.max,
+        resetAt: new Date(entry.windowStart + entry.windowMs).toISOString()
+      }))
+      .filter(entry => !onlyThrottled || entry.throttled)
+      .sort((a, b) => b.rejected - a.rejected || b.hits / b.limit - a.hits / a.limit);
+    
+    res.json({
+      success: true,
+      store: RATE_LIMIT_STORE_NAME,
+      trustProxy: app.get('trust proxy'),
+      total: clients.length,
+      throttled: clients.filter(entry => entry.throttled).length,
+      clients,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('查詢速率限制錯誤:', error);
+    res.status(500).json({
+      error: '無法查詢速率限制',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // 輸入清理函數
 function sanitizeInput(input) {
   if (typeof input !== 'string') return input;
@@ -447,369 +1664,5398 @@ function validateId(id) {
   return numId;
 }
 
-// API 端點
+// Telegram 使用者 ID 格式（由 Bot 透過 X-Telegram-User-Id 標頭轉送）
+const TELEGRAM_USER_ID_PATTERN = /^\d{1,20}$/;
 
-// GET /api/graph - 取得完整圖表資料
-app.get('/api/graph', async (req, res) => {
+// 取得此次請求的操作者：管理員 Session > 轉送的 Telegram 使用者 > API Key
+// X-Telegram-User-Id 只有搭配 API Key 時才會被採信（見 checkTelegramPolicy）
+function getRequestActor(req) {
+  if (req.adminUser) {
+    return { type: 'admin', id: req.adminUser };
+  }
+  
+  if (req.telegramUser) {
+    return { type: 'telegram', id: req.telegramUser.id };
+  }
+  
+  if (req.apiKeyName) {
+    return { type: 'api_key', id: req.apiKeyName };
+  }
+  
+  return { type: 'system', id: null };
+}
+
+// 圖表版本：每次寫入 persons、relations、person_backgrounds 時遞增，用於圖片快取與 ETag
+// 版本存在 graph_version 資料表，由所有伺服器共用；graphVersion 是本機最後讀到的值
+let graphVersion = 0;
+
+async function bumpGraphVersion() {
   try {
-    console.log('取得圖表資料請求');
+    await queryDatabase('UPDATE graph_version SET version = version + 1 WHERE id = 1');
+  } catch (error) {
+    // 資料表不存在（尚未升級資料庫）時退回只在本機遞增
+    console.error('更新圖表版本失敗:', error.message);
+    graphVersion++;
+    clearRenderCache();
+    return;
+  }
+  await refreshGraphVersion();
+}
+
+// 讀取共用的圖表版本，其他伺服器寫入過資料時清空本機的圖片快取
+async function refreshGraphVersion() {
+  try {
+    const rows = await queryDatabase('SELECT version FROM graph_version WHERE id = 1');
+    const version = rows.length > 0 ? Number(rows[0].version) : 0;
+    if (version !== graphVersion) {
+      graphVersion = version;
+      clearRenderCache();
+    }
+  } catch (error) {
+    console.error('讀取圖表版本失敗:', error.message);
+  }
+  return graphVersion;
+}
+
+// 有效的性別選項（對應 persons.gender ENUM）
+const VALID_GENDERS = ['male', 'female', 'femboy', 'unknown'];
+
+// ==================== 稽核紀錄 ====================
+
+const AUDIT_ACTOR_TYPES = ['api_key', 'admin', 'telegram', 'system'];
+
+// 寫入一筆稽核紀錄；寫入失敗只記錄錯誤，不影響原本的操作結果
+async function recordAudit(req, action, { entityType, entityId = null, before = null, after = null, actor = null }) {
+  const auditActor = actor || getRequestActor(req);
+  
+  try {
+    await queryDatabase(
+      `INSERT INTO audit_log (action, entity_type, entity_id, actor_type, actor_id, ip, method, path, before_data, after_data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        auditActor.type,
+        auditActor.id,
+        req.ip || null,
+        req.method,
+        // 不記錄查詢字串，避免把 ?key= 的 API Key 寫進紀錄
+        req.originalUrl.split('?')[0],
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after)
+      ]
+    );
+  } catch (error) {
+    console.error('寫入稽核紀錄失敗:', { action, entityType, entityId, error: error.message });
+  }
+}
+
+function parseAuditJson(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// GET /api/admin/audit - 查詢稽核紀錄（管理員專用）
+// 篩選參數：action、entityType、entityId、actorType、actorId、ip、since、until；分頁：limit、offset
+app.get('/api/admin/audit', requireAdminSession, async (req, res) => {
+  try {
+    const { action, entityType, entityId, actorType, actorId, ip, since, until } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
     
-    const [persons, relations] = await Promise.all([
-      queryDatabase('SELECT id, name, description, gender, created_at FROM persons ORDER BY id'),
-      queryDatabase('SELECT id, from_person_id, to_person_id, source, created_at FROM relations ORDER BY id')
-    ]);
+    const conditions = [];
+    const params = [];
     
-    // 資料驗證
-    if (!Array.isArray(persons) || !Array.isArray(relations)) {
-      throw new Error('資料庫回傳格式錯誤');
+    if (action) {
+      // 以 . 結尾時視為前綴，例如 relation. 代表所有關係操作
+      if (String(action).endsWith('.')) {
+        conditions.push('action LIKE ?');
+        params.push(`${action}%`);
+      } else {
+        conditions.push('action = ?');
+        params.push(String(action));
+      }
     }
-    
-    // 找出所有有連線的人物ID
-    const connectedPersonIds = new Set();
-    const validRelations = relations.filter(relation => {
-      if (relation.from_person_id && relation.to_person_id) {
-        connectedPersonIds.add(relation.from_person_id.toString());
-        connectedPersonIds.add(relation.to_person_id.toString());
-        return true;
+    if (entityType) {
+      conditions.push('entity_type = ?');
+      params.push(String(entityType));
+    }
+    if (entityId) {
+      conditions.push('entity_id = ?');
+      params.push(String(entityId));
+    }
+    if (actorType) {
+      if (!AUDIT_ACTOR_TYPES.includes(actorType)) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: [`actorType 必須是 ${AUDIT_ACTOR_TYPES.join('、')} 其中之一`],
+          timestamp: new Date().toISOString()
+        });
       }
-      return false;
-    });
-    
-    // 只保留有連線的人物
-    const connectedPersons = persons.filter(person => 
-      person.id && person.name && connectedPersonIds.has(person.id.toString())
-    );
+      conditions.push('actor_type = ?');
+      params.push(actorType);
+    }
+    if (actorId) {
+      conditions.push('actor_id = ?');
+      params.push(String(actorId));
+    }
+    if (ip) {
+      conditions.push('ip = ?');
+      params.push(String(ip));
+    }
     
-    const nodes = connectedPersons.map(person => ({
-      id: person.id.toString(),
-      label: person.name.toString()
-    }));
+    for (const [name, value, operator] of [['since', since, '>='], ['until', until, '<=']]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: [`${name} 必須是有效的日期，例如 2025-08-01 或 2025-08-01T12:00:00Z`],
+          timestamp: new Date().toISOString()
+        });
+      }
+      conditions.push(`created_at ${operator} ?`);
+      params.push(date);
+    }
     
-    const edges = validRelations.map(relation => ({
-      id: relation.id.toString(),
-      from: relation.from_person_id.toString(),
-      to: relation.to_person_id.toString(),
-      source: relation.source || ''
-    }));
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
     
-    console.log(`回傳圖表資料: ${nodes.length} 個節點, ${edges.length} 個邊`);
+    const [countRows, rows] = await Promise.all([
+      queryDatabase(`SELECT COUNT(*) AS total FROM audit_log ${whereClause}`, params),
+      queryDatabase(
+        `SELECT id, action, entity_type, entity_id, actor_type, actor_id, ip, method, path, before_data, after_data, created_at
+          FROM audit_log ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      )
+    ]);
     
     res.json({
       success: true,
-      nodes,
-      edges,
-      timestamp: new Date().toISOString(),
-      counts: {
-        totalPersons: persons.length,
-        connectedPersons: nodes.length,
-        relations: edges.length
-      }
+      total: countRows[0].total,
+      limit,
+      offset,
+      entries: rows.map(row => ({
+        id: row.id,
+        action: row.action,
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        actor: { type: row.actor_type, id: row.actor_id },
+        ip: row.ip,
+        method: row.method,
+        path: row.path,
+        before: parseAuditJson(row.before_data),
+        after: parseAuditJson(row.after_data),
+        createdAt: row.created_at
+      })),
+      timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('取得圖表資料錯誤:', error);
+    console.error('查詢稽核紀錄錯誤:', error);
     res.status(500).json({
-      error: '無法取得圖表資料',
+      error: '無法查詢稽核紀錄',
       message: '伺服器內部錯誤，請稍後再試',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// GET /api/persons - 取得所有人物
-app.get('/api/persons', async (req, res) => {
-  try {
-    console.log('取得人物列表請求');
-    
-    const persons = await queryDatabase('SELECT id, name, description, gender, created_at FROM persons ORDER BY name');
-    
-    if (!Array.isArray(persons)) {
-      throw new Error('資料庫回傳格式錯誤');
+// ==================== API Key 管理 ====================
+
+function formatApiKey(row) {
+  const now = new Date();
+  let status = 'active';
+  if (row.revoked_at) {
+    status = 'revoked';
+  } else if (row.expires_at && new Date(row.expires_at) <= now) {
+    status = 'expired';
+  }
+  
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: parseApiKeyScopes(row.scopes),
+    status,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// 驗證 scopes 與 expiresAt 欄位，回傳 { errors, scopes, expiresAt }；未提供的欄位為 undefined
+function parseApiKeyFields(body) {
+  const errors = [];
+  let scopes;
+  let expiresAt;
+  
+  if (body.scopes !== undefined) {
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+      errors.push('scopes 必須是非空陣列');
+    } else {
+      const invalid = body.scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+      if (invalid.length > 0) {
+        errors.push(`無效的權限：${invalid.join('、')}，可用權限為 ${API_KEY_SCOPES.join('、')}`);
+      }
+      scopes = Array.from(new Set(body.scopes));
     }
-    
-    const validPersons = persons.filter(person => person.id && person.name);
-    
-    console.log(`回傳人物列表: ${validPersons.length} 個人物`);
+  }
+  
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === '') {
+      expiresAt = null;
+    } else {
+      const date = new Date(body.expiresAt);
+      if (isNaN(date.getTime())) {
+        errors.push('expiresAt 必須是有效的日期');
+      } else if (date <= new Date()) {
+        errors.push('expiresAt 必須是未來的時間');
+      } else {
+        expiresAt = date;
+      }
+    }
+  }
+  
+  return { errors, scopes, expiresAt };
+}
+
+const API_KEY_COLUMNS = 'id, name, key_prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_by, created_at';
+
+// GET /api/admin/keys - 列出所有 API Key（不含金鑰本身）
+app.get('/api/admin/keys', requireAdminSession, requireAdminRole('owner'), async (req, res) => {
+  try {
+    const rows = await queryDatabase(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY revoked_at IS NOT NULL, id`);
     
     res.json({
       success: true,
-      persons: validPersons,
-      count: validPersons.length,
+      scopes: API_KEY_SCOPES,
+      keys: rows.map(formatApiKey),
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('取得人物列表錯誤:', error);
+    console.error('查詢 API Key 錯誤:', error);
     res.status(500).json({
-      error: '無法取得人物列表',
+      error: '無法查詢 API Key',
       message: '伺服器內部錯誤，請稍後再試',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// GET /api/person/:id/relations - 查詢某個人物的關係狀態
-app.get('/api/person/:id/relations', async (req, res) => {
-  try {
-    const personId = validateId(req.params.id);
-    console.log(`查詢人物關係狀態: personId=${personId}`);
-
-    // 確認人物存在
-    const personRows = await queryDatabase(
-      'SELECT id, name, description, gender FROM persons WHERE id = ?',
-      [personId]
-    );
+// POST /api/admin/keys - 建立 API Key，明文金鑰只會在回應中出現這一次
+app.post('/api/admin/keys',
+  requireAdminSession,
+  requireAdminRole('owner'),
+  rateLimit(60000, 10), // 每分鐘最多 10 次建立
+  validateInput({
+    required: ['name', 'scopes'],
+    types: { name: 'string' },
+    maxLength: { name: 100 }
+  }),
+  async (req, res) => {
+    try {
+      const cleanName = sanitizeInput(req.body.name);
+      const { errors, scopes, expiresAt } = parseApiKeyFields(req.body);
+      
+      if (cleanName === '') {
+        errors.push('欄位 name 不可為空');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const existing = await queryDatabase('SELECT id FROM api_keys WHERE name = ?', [cleanName]);
+      if (existing.length > 0) {
+        return res.status(409).json({
+          error: 'API Key 已存在',
+          message: `名稱「${cleanName}」已被使用`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const { key, prefix, hash } = generateApiKey();
+      const result = await queryDatabase(
+        'INSERT INTO api_keys (name, key_prefix, key_hash, scopes, expires_at, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+        [cleanName, prefix, hash, scopes.join(','), expiresAt || null, req.adminUser]
+      );
+      
+      const [row] = await queryDatabase(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`, [result.insertId]);
+      const created = formatApiKey(row);
+      
+      console.log('建立 API Key 成功:', { id: created.id, name: cleanName, scopes, by: req.adminUser });
+      await recordAudit(req, 'api_key.create', { entityType: 'api_key', entityId: created.id, after: created });
+      
+      res.json({
+        success: true,
+        key,
+        apiKey: created,
+        message: 'API Key 建立成功，請立即複製保存，之後將無法再次查看',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('建立 API Key 錯誤:', error);
+      res.status(500).json({
+        error: '無法建立 API Key',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
 
-    if (personRows.length === 0) {
-      return res.status(404).json({
-        error: '人物不存在',
-        message: `找不到 ID 為 ${personId} 的人物`,
+// PUT /api/admin/keys/:id - 更新 API Key 的權限或到期時間
+app.put('/api/admin/keys/:id',
+  requireAdminSession,
+  requireAdminRole('owner'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次更新
+  async (req, res) => {
+    try {
+      const keyId = validateId(req.params.id);
+      const { errors, scopes, expiresAt } = parseApiKeyFields(req.body);
+      
+      if (scopes === undefined && expiresAt === undefined && errors.length === 0) {
+        errors.push('請至少提供 scopes 或 expiresAt 其中一個欄位');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const rows = await queryDatabase(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`, [keyId]);
+      if (rows.length === 0) {
+        return res.status(404).json({
+          error: 'API Key 不存在',
+          message: `找不到 ID 為 ${keyId} 的 API Key`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (rows[0].revoked_at) {
+        return res.status(409).json({
+          error: 'API Key 已撤銷',
+          message: '已撤銷的 API Key 無法修改，請建立新的金鑰',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await queryDatabase(
+        'UPDATE api_keys SET scopes = ?, expires_at = ? WHERE id = ?',
+        [
+          scopes !== undefined ? scopes.join(',') : rows[0].scopes,
+          expiresAt !== undefined ? expiresAt : rows[0].expires_at,
+          keyId
+        ]
+      );
+      
+      const [row] = await queryDatabase(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`, [keyId]);
+      const updated = formatApiKey(row);
+      
+      console.log('更新 API Key 成功:', { id: keyId, scopes: updated.scopes, by: req.adminUser });
+      await recordAudit(req, 'api_key.update', { entityType: 'api_key', entityId: keyId, before: formatApiKey(rows[0]), after: updated });
+      
+      res.json({
+        success: true,
+        apiKey: updated,
+        message: 'API Key 更新成功',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('更新 API Key 錯誤:', error);
+      res.status(500).json({
+        error: '無法更新 API Key',
+        message: '伺服器內部錯誤，請稍後再試',
         timestamp: new Date().toISOString()
       });
     }
+  }
+);
 
-    const person = personRows[0];
+// DELETE /api/admin/keys/:id - 撤銷 API Key（保留資料列，讓稽核紀錄仍能對應到金鑰）
+app.delete('/api/admin/keys/:id',
+  requireAdminSession,
+  requireAdminRole('owner'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次撤銷
+  async (req, res) => {
+    try {
+      const keyId = validateId(req.params.id);
+      
+      const rows = await queryDatabase(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`, [keyId]);
+      if (rows.length === 0) {
+        return res.status(404).json({
+          error: 'API Key 不存在',
+          message: `找不到 ID 為 ${keyId} 的 API Key`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (rows[0].revoked_at) {
+        return res.status(409).json({
+          error: 'API Key 已撤銷',
+          message: `API Key「${rows[0].name}」先前已被撤銷`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await queryDatabase('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [keyId]);
+      const [row] = await queryDatabase(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`, [keyId]);
+      const revoked = formatApiKey(row);
+      
+      console.log('撤銷 API Key 成功:', { id: keyId, name: revoked.name, by: req.adminUser });
+      await recordAudit(req, 'api_key.revoke', { entityType: 'api_key', entityId: keyId, before: formatApiKey(rows[0]), after: revoked });
+      
+      res.json({
+        success: true,
+        apiKey: revoked,
+        message: `API Key「${revoked.name}」已撤銷`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('撤銷 API Key 錯誤:', error);
+      res.status(500).json({
+        error: '無法撤銷 API Key',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
 
-    // 取得所有與該人物相關的關係（雙向）
-    const relations = await queryDatabase(
-      'SELECT id, from_person_id, to_person_id, source FROM relations WHERE from_person_id = ? OR to_person_id = ? ORDER BY id',
-      [personId, personId]
-    );
+// ==================== 管理員帳號 ====================
 
-    // 收集鄰接人物 ID
-    const neighborIdSet = new Set();
-    for (const rel of relations) {
-      if (rel.from_person_id === personId) neighborIdSet.add(rel.to_person_id);
-      if (rel.to_person_id === personId) neighborIdSet.add(rel.from_person_id);
-    }
+const ADMIN_USER_COLUMNS = 'id, username, role, last_login_at, last_login_ip, created_by, created_at, updated_at';
 
-    const neighborIds = Array.from(neighborIdSet);
-    let neighbors = [];
-    if (neighborIds.length > 0) {
-      const placeholders = neighborIds.map(() => '?').join(',');
-      const neighborRows = await queryDatabase(
-        `SELECT id, name, gender FROM persons WHERE id IN (${placeholders}) ORDER BY id`,
-        neighborIds
-      );
-      neighbors = neighborRows.map(row => ({ id: row.id, name: row.name, gender: row.gender }));
-    }
+function formatAdminUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    lastLoginAt: row.last_login_at,
+    lastLoginIp: row.last_login_ip,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
 
-    const edges = relations.map(r => ({
-      id: r.id,
-      from: r.from_person_id,
-      to: r.to_person_id,
-      source: r.source || ''
-    }));
+// 移除或降級 owner 前確認仍有其他 owner，避免沒有人能管理帳號
+async function isLastOwner(userId) {
+  const [{ total }] = await queryDatabase(
+    'SELECT COUNT(*) AS total FROM admin_users WHERE role = ? AND id <> ?',
+    ['owner', userId]
+  );
+  return total === 0;
+}
 
+// GET /api/admin/users - 列出所有管理員帳號（限 owner）
+app.get('/api/admin/users', requireAdminSession, requireAdminRole('owner'), async (req, res) => {
+  try {
+    const rows = await queryDatabase(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users ORDER BY id`);
+    
     res.json({
       success: true,
-      person: {
-        id: person.id,
-        name: person.name,
-        description: person.description || '',
-        gender: person.gender
-      },
-      degree: edges.length,
-      neighbors,
-      edges,
+      roles: ADMIN_ROLES,
+      users: rows.map(formatAdminUser),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('查詢人物關係狀態錯誤:', error);
+    console.error('查詢管理員帳號錯誤:', error);
     res.status(500).json({
-      error: '無法查詢人物關係狀態',
+      error: '無法查詢管理員帳號',
       message: '伺服器內部錯誤，請稍後再試',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// GET /api/background?id=:id - 取得人物背景資訊（使用 Query Parameters）
-app.get('/api/background', async (req, res) => {
-  try {
-    const { id } = req.query;
-    
-    if (id === undefined || id === null || id === '') {
-      return res.status(400).json({
-        error: '缺少必要參數',
-        message: '請提供 id 參數',
+// POST /api/admin/users - 建立管理員帳號（限 owner）
+app.post('/api/admin/users',
+  requireAdminSession,
+  requireAdminRole('owner'),
+  rateLimit(60000, 10), // 每分鐘最多 10 次建立
+  validateInput({
+    required: ['username', 'password', 'role'],
+    types: { username: 'string', password: 'string', role: 'string' },
+    maxLength: { username: 100 }
+  }),
+  async (req, res) => {
+    try {
+      const { username, password, role } = req.body;
+      const errors = validatePassword(password);
+      
+      if (!ADMIN_USERNAME_PATTERN.test(username)) {
+        errors.push('帳號長度需為 3 到 100 個字元，且只能包含英數字與 _ . -');
+      }
+      if (!ADMIN_ROLES.includes(role)) {
+        errors.push(`無效的角色，可用角色為 ${ADMIN_ROLES.join('、')}`);
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const existing = await queryDatabase('SELECT id FROM admin_users WHERE username = ?', [username]);
+      if (existing.length > 0) {
+        return res.status(409).json({
+          error: '帳號已存在',
+          message: `帳號「${username}」已被使用`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const result = await queryDatabase(
+        'INSERT INTO admin_users (username, password_hash, role, created_by) VALUES (?, ?, ?, ?)',
+        [username, await hashPassword(password), role, req.adminUser]
+      );
+      
+      const [row] = await queryDatabase(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = ?`, [result.insertId]);
+      const created = formatAdminUser(row);
+      
+      console.log('建立管理員帳號成功:', { id: created.id, username, role, by: req.adminUser });
+      await recordAudit(req, 'admin_user.create', { entityType: 'admin_user', entityId: created.id, after: created });
+      
+      res.json({
+        success: true,
+        user: created,
+        message: '管理員帳號建立成功',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('建立管理員帳號錯誤:', error);
+      res.status(500).json({
+        error: '無法建立管理員帳號',
+        message: '伺服器內部錯誤，請稍後再試',
         timestamp: new Date().toISOString()
       });
     }
-    
-    const personId = validateId(id);
-    
-    // 檢查人物是否存在
-    const personResult = await queryDatabase(
-      'SELECT id, name, description, gender FROM persons WHERE id = ?',
-      [personId]
-    );
-    
-    if (personResult.length === 0) {
-      return res.status(404).json({
-        error: '人物不存在',
-        message: `找不到 ID 為 ${personId} 的人物`,
+  }
+);
+
+// PUT /api/admin/users/:id - 變更角色或重設密碼（限 owner）；重設密碼會登出該帳號所有 Session
+app.put('/api/admin/users/:id',
+  requireAdminSession,
+  requireAdminRole('owner'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次更新
+  validateInput({
+    types: { role: 'string', password: 'string' }
+  }),
+  async (req, res) => {
+    try {
+      const userId = validateId(req.params.id);
+      const { role, password } = req.body;
+      const errors = password !== undefined ? validatePassword(password) : [];
+      
+      if (role === undefined && password === undefined) {
+        errors.push('請至少提供 role 或 password 其中一個欄位');
+      }
+      if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+        errors.push(`無效的角色，可用角色為 ${ADMIN_ROLES.join('、')}`);
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const rows = await queryDatabase(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = ?`, [userId]);
+      if (rows.length === 0) {
+        return res.status(404).json({
+          error: '帳號不存在',
+          message: `找不到 ID 為 ${userId} 的管理員帳號`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (role !== undefined && role !== 'owner' && rows[0].role === 'owner' && await isLastOwner(userId)) {
+        return res.status(409).json({
+          error: '無法變更角色',
+          message: '這是最後一個 owner 帳號，請先將其他帳號設為 owner',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await queryDatabase(
+        'UPDATE admin_users SET role = ?, password_hash = COALESCE(?, password_hash) WHERE id = ?',
+        [role !== undefined ? role : rows[0].role, password !== undefined ? await hashPassword(password) : null, userId]
+      );
+      
+      if (password !== undefined) {
+        await sessionStore.destroyUser(userId, userId === req.adminUserId ? req.sessionId : null);
+      }
+      if (role !== undefined) {
+        await sessionStore.updateUser(userId, { role });
+      }
+      
+      const [row] = await queryDatabase(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = ?`, [userId]);
+      const updated = formatAdminUser(row);
+      
+      console.log('更新管理員帳號成功:', { id: userId, role: updated.role, passwordReset: password !== undefined, by: req.adminUser });
+      await recordAudit(req, 'admin_user.update', {
+        entityType: 'admin_user',
+        entityId: userId,
+        before: formatAdminUser(rows[0]),
+        after: { ...updated, passwordReset: password !== undefined }
+      });
+      
+      res.json({
+        success: true,
+        user: updated,
+        message: password !== undefined ? '密碼已重設，該帳號需重新登入' : '管理員帳號更新成功',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('更新管理員帳號錯誤:', error);
+      res.status(500).json({
+        error: '無法更新管理員帳號',
+        message: '伺服器內部錯誤，請稍後再試',
         timestamp: new Date().toISOString()
       });
     }
+  }
+);
+
+// DELETE /api/admin/users/:id - 刪除管理員帳號（限 owner，不能刪除自己）
+app.delete('/api/admin/users/:id',
+  requireAdminSession,
+  requireAdminRole('owner'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次刪除
+  async (req, res) => {
+    try {
+      const userId = validateId(req.params.id);
+      
+      if (userId === req.adminUserId) {
+        return res.status(409).json({
+          error: '無法刪除帳號',
+          message: '不能刪除目前登入的帳號',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const rows = await queryDatabase(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = ?`, [userId]);
+      if (rows.length === 0) {
+        return res.status(404).json({
+          error: '帳號不存在',
+          message: `找不到 ID 為 ${userId} 的管理員帳號`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (rows[0].role === 'owner' && await isLastOwner(userId)) {
+        return res.status(409).json({
+          error: '無法刪除帳號',
+          message: '這是最後一個 owner 帳號',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await queryDatabase('DELETE FROM admin_users WHERE id = ?', [userId]);
+      await sessionStore.destroyUser(userId);
+      
+      const deleted = formatAdminUser(rows[0]);
+      console.log('刪除管理員帳號成功:', { id: userId, username: deleted.username, by: req.adminUser });
+      await recordAudit(req, 'admin_user.delete', { entityType: 'admin_user', entityId: userId, before: deleted });
+      
+      res.json({
+        success: true,
+        user: deleted,
+        message: `管理員帳號「${deleted.username}」已刪除`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('刪除管理員帳號錯誤:', error);
+      res.status(500).json({
+        error: '無法刪除管理員帳號',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// POST /api/admin/password - 變更自己的密碼（任何角色皆可），其他裝置的 Session 會被登出
+app.post('/api/admin/password',
+  requireAdminSession,
+  rateLimit(60000, 5), // 每分鐘最多 5 次，避免暴力猜測目前密碼
+  validateInput({
+    required: ['currentPassword', 'newPassword'],
+    types: { currentPassword: 'string', newPassword: 'string' }
+  }),
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const errors = validatePassword(newPassword, 'newPassword');
+      
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const rows = await queryDatabase('SELECT id, password_hash FROM admin_users WHERE id = ?', [req.adminUserId]);
+      if (rows.length === 0 || !(await verifyPassword(currentPassword, rows[0].password_hash))) {
+        return res.status(403).json({
+          error: '目前密碼錯誤',
+          message: '請確認目前的密碼是否正確',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await queryDatabase('UPDATE admin_users SET password_hash = ? WHERE id = ?', [await hashPassword(newPassword), req.adminUserId]);
+      await sessionStore.destroyUser(req.adminUserId, req.sessionId);
+      
+      console.log('變更密碼成功:', { username: req.adminUser });
+      await recordAudit(req, 'admin_user.password', { entityType: 'admin_user', entityId: req.adminUserId });
+      
+      res.json({
+        success: true,
+        message: '密碼已變更，其他裝置需要重新登入',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('變更密碼錯誤:', error);
+      res.status(500).json({
+        error: '無法變更密碼',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// ==================== Telegram 使用者權限 ====================
+
+// Telegram 使用者狀態：user=一般使用者、admin=不受個別權限限制、blocked=禁止使用任何功能
+const TELEGRAM_USER_STATUSES = ['user', 'admin', 'blocked'];
+// 可個別設定給 Telegram 使用者的寫入權限
+const TELEGRAM_PERMISSIONS = ['write:persons', 'write:relations', 'delete'];
+
+// 未設定個別權限的使用者使用設定檔中的預設權限
+function getDefaultTelegramPermissions() {
+  const configured = config.telegram && config.telegram.defaultPermissions;
+  if (!Array.isArray(configured)) {
+    return TELEGRAM_PERMISSIONS;
+  }
+  return configured.map(permission => String(permission).trim()).filter(permission => TELEGRAM_PERMISSIONS.includes(permission));
+}
+
+function parseTelegramPermissions(value) {
+  return (value || '').split(',').filter(permission => TELEGRAM_PERMISSIONS.includes(permission));
+}
+
+function formatTelegramUser(row) {
+  return {
+    id: row.telegram_user_id,
+    displayName: row.display_name,
+    status: row.status,
+    permissions: row.permissions === null ? null : parseTelegramPermissions(row.permissions),
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// 取得 Telegram 使用者的有效權限；沒有設定的使用者視為一般使用者並套用預設權限
+async function loadTelegramPolicy(telegramUserId) {
+  const rows = await queryDatabase(
+    'SELECT status, permissions FROM telegram_users WHERE telegram_user_id = ?',
+    [telegramUserId]
+  );
+  const row = rows[0];
+  
+  return {
+    id: telegramUserId,
+    status: row ? row.status : 'user',
+    permissions: row && row.permissions !== null ? parseTelegramPermissions(row.permissions) : getDefaultTelegramPermissions()
+  };
+}
+
+// 檢查 X-Telegram-User-Id 標頭對應的使用者權限，成功時設定 req.telegramUser；失敗時直接回應並回傳 false
+async function checkTelegramPolicy(req, res, requiredScopes) {
+  const header = req.get('X-Telegram-User-Id');
+  if (header === undefined) {
+    return true;
+  }
+  
+  const telegramUserId = String(header).trim();
+  if (!TELEGRAM_USER_ID_PATTERN.test(telegramUserId)) {
+    res.status(400).json({
+      error: '無效的 Telegram 使用者 ID',
+      message: 'X-Telegram-User-Id 必須是數字',
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+  
+  const policy = await loadTelegramPolicy(telegramUserId);
+  
+  if (policy.status === 'blocked') {
+    console.warn('封鎖的 Telegram 使用者嘗試操作:', { telegramUserId, url: req.originalUrl.split('?')[0], apiKey: req.apiKeyName });
+    res.status(403).json({
+      error: '使用者已被封鎖',
+      message: '您已被禁止使用此機器人的任何功能。',
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+  
+  if (policy.status !== 'admin') {
+    const missing = requiredScopes.filter(scope => TELEGRAM_PERMISSIONS.includes(scope) && !policy.permissions.includes(scope));
+    if (missing.length > 0) {
+      res.status(403).json({
+        error: 'Telegram 使用者權限不足',
+        message: `此使用者沒有 ${missing.join('、')} 權限，請聯絡管理員`,
+        timestamp: new Date().toISOString()
+      });
+      return false;
+    }
+  }
+  
+  req.telegramUser = policy;
+  return true;
+}
+
+// GET /api/telegram/me - 讓 Bot 查詢目前轉送的 Telegram 使用者狀態與權限（封鎖的使用者會收到 403）
+app.get('/api/telegram/me', requireApiKey(), (req, res) => {
+  if (!req.telegramUser) {
+    return res.status(400).json({
+      error: '缺少 Telegram 使用者 ID',
+      message: '請在 X-Telegram-User-Id 標頭中提供 Telegram 使用者 ID',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.json({
+    success: true,
+    user: {
+      ...req.telegramUser,
+      isAdmin: req.telegramUser.status === 'admin'
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+const TELEGRAM_USER_COLUMNS = 'telegram_user_id, display_name, status, permissions, note, created_by, created_at, updated_at';
+
+// GET /api/admin/telegram-users - 列出有設定的 Telegram 使用者（管理員、黑名單與個別權限）
+app.get('/api/admin/telegram-users', requireAdminSession, async (req, res) => {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.status) {
+      if (!TELEGRAM_USER_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          error: '無效的狀態',
+          message: `status 必須是 ${TELEGRAM_USER_STATUSES.join('、')} 其中之一`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      where = 'WHERE status = ?';
+      params.push(req.query.status);
+    }
+    
+    const rows = await queryDatabase(
+      `SELECT ${TELEGRAM_USER_COLUMNS} FROM telegram_users ${where} ORDER BY FIELD(status, 'admin', 'blocked', 'user'), updated_at DESC`,
+      params
+    );
+    
+    res.json({
+      success: true,
+      statuses: TELEGRAM_USER_STATUSES,
+      permissions: TELEGRAM_PERMISSIONS,
+      defaultPermissions: getDefaultTelegramPermissions(),
+      users: rows.map(formatTelegramUser),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('查詢 Telegram 使用者錯誤:', error);
+    res.status(500).json({
+      error: '無法查詢 Telegram 使用者',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/admin/telegram-users/:telegramUserId - 新增或更新 Telegram 使用者設定（editor 以上；設定或變更 admin 限 owner）
+app.put('/api/admin/telegram-users/:telegramUserId',
+  requireAdminSession,
+  requireAdminRole('editor'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次更新
+  validateInput({
+    types: { displayName: 'string', status: 'string', note: 'string' },
+    maxLength: { displayName: 100, note: 255 }
+  }),
+  async (req, res) => {
+    try {
+      const telegramUserId = req.params.telegramUserId;
+      const { displayName, status, permissions, note } = req.body;
+      const errors = [];
+      
+      if (!TELEGRAM_USER_ID_PATTERN.test(telegramUserId)) {
+        errors.push('Telegram 使用者 ID 必須是數字');
+      }
+      if (status !== undefined && !TELEGRAM_USER_STATUSES.includes(status)) {
+        errors.push(`無效的狀態，可用狀態為 ${TELEGRAM_USER_STATUSES.join('、')}`);
+      }
+      // permissions 傳 null 表示改回使用預設權限
+      if (permissions !== undefined && permissions !== null) {
+        if (!Array.isArray(permissions)) {
+          errors.push('permissions 必須是陣列或 null');
+        } else {
+          const invalid = permissions.filter(permission => !TELEGRAM_PERMISSIONS.includes(permission));
+          if (invalid.length > 0) {
+            errors.push(`無效的權限：${invalid.join('、')}，可用權限為 ${TELEGRAM_PERMISSIONS.join('、')}`);
+          }
+        }
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const rows = await queryDatabase(`SELECT ${TELEGRAM_USER_COLUMNS} FROM telegram_users WHERE telegram_user_id = ?`, [telegramUserId]);
+      const before = rows.length > 0 ? formatTelegramUser(rows[0]) : null;
+      const previousStatus = before ? before.status : null;
+      const nextStatus = status !== undefined ? status : (previousStatus || 'user');
+      const changesAdmin = nextStatus !== previousStatus && (nextStatus === 'admin' || previousStatus === 'admin');
+      
+      if (changesAdmin && !hasAdminRole(req.adminRole, 'owner')) {
+        return res.status(403).json({
+          error: '權限不足',
+          message: '只有 owner 可以設定或移除 Telegram 管理員',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const values = {
+        display_name: displayName !== undefined ? (sanitizeInput(displayName) || null) : (before ? before.displayName : null),
+        status: nextStatus,
+        permissions: permissions !== undefined
+          ? (permissions === null ? null : Array.from(new Set(permissions)).join(','))
+          : (before && before.permissions !== null ? before.permissions.join(',') : null),
+        note: note !== undefined ? (sanitizeInput(note) || null) : (before ? before.note : null)
+      };
+      
+      await queryDatabase(
+        `INSERT INTO telegram_users (telegram_user_id, display_name, status, permissions, note, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE display_name = VALUES(display_name), status = VALUES(status),
+           permissions = VALUES(permissions), note = VALUES(note)`,
+        [telegramUserId, values.display_name, values.status, values.permissions, values.note, req.adminUser]
+      );
+      
+      const [row] = await queryDatabase(`SELECT ${TELEGRAM_USER_COLUMNS} FROM telegram_users WHERE telegram_user_id = ?`, [telegramUserId]);
+      const updated = formatTelegramUser(row);
+      
+      console.log('更新 Telegram 使用者設定成功:', { telegramUserId, status: updated.status, permissions: updated.permissions, by: req.adminUser });
+      await recordAudit(req, before ? 'telegram_user.update' : 'telegram_user.create', {
+        entityType: 'telegram_user',
+        entityId: telegramUserId,
+        before,
+        after: updated
+      });
+      
+      res.json({
+        success: true,
+        user: updated,
+        message: before ? 'Telegram 使用者設定已更新' : 'Telegram 使用者設定已建立',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('更新 Telegram 使用者設定錯誤:', error);
+      res.status(500).json({
+        error: '無法更新 Telegram 使用者設定',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// DELETE /api/admin/telegram-users/:telegramUserId - 移除設定，該使用者改回一般使用者與預設權限
+app.delete('/api/admin/telegram-users/:telegramUserId',
+  requireAdminSession,
+  requireAdminRole('editor'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次刪除
+  async (req, res) => {
+    try {
+      const telegramUserId = req.params.telegramUserId;
+      const rows = TELEGRAM_USER_ID_PATTERN.test(telegramUserId)
+        ? await queryDatabase(`SELECT ${TELEGRAM_USER_COLUMNS} FROM telegram_users WHERE telegram_user_id = ?`, [telegramUserId])
+        : [];
+      
+      if (rows.length === 0) {
+        return res.status(404).json({
+          error: '找不到設定',
+          message: `Telegram 使用者 ${telegramUserId} 沒有個別設定`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const removed = formatTelegramUser(rows[0]);
+      if (removed.status === 'admin' && !hasAdminRole(req.adminRole, 'owner')) {
+        return res.status(403).json({
+          error: '權限不足',
+          message: '只有 owner 可以設定或移除 Telegram 管理員',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await queryDatabase('DELETE FROM telegram_users WHERE telegram_user_id = ?', [telegramUserId]);
+      
+      console.log('移除 Telegram 使用者設定成功:', { telegramUserId, by: req.adminUser });
+      await recordAudit(req, 'telegram_user.delete', { entityType: 'telegram_user', entityId: telegramUserId, before: removed });
+      
+      res.json({
+        success: true,
+        user: removed,
+        message: `已移除 Telegram 使用者 ${telegramUserId} 的設定`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('移除 Telegram 使用者設定錯誤:', error);
+      res.status(500).json({
+        error: '無法移除 Telegram 使用者設定',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// ==================== 列表分頁、排序與欄位選擇 ====================
+
+const LIST_MAX_LIMIT = 500;
+
+// 游標內容：排序方式、最後一筆的排序值與 ID，以 base64url 編碼成不透明字串
+function encodeListCursor(sort, row) {
+  const value = row[sort.field] instanceof Date ? row[sort.field].toISOString() : row[sort.field];
+  return Buffer.from(JSON.stringify({ sort: sort.key, value, id: row.id })).toString('base64url');
+}
+
+// 排序值只接受字串或有限數字，避免物件或陣列被帶進 SQL 參數
+function decodeListCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.sort !== 'string' || !Number.isInteger(decoded.id)) {
+      return null;
+    }
+    const validValue = typeof decoded.value === 'string' || (typeof decoded.value === 'number' && Number.isFinite(decoded.value));
+    return validValue ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 解析列表參數：limit、offset、cursor、sort（-field 代表遞減）、fields、include
+// sorts 為 { 欄位: { column, type } }，未提供 limit、offset 與 cursor 時不分頁，回傳全部資料
+function parseListOptions(query, { sorts, defaultSort, fields: allowedFields, includes: allowedIncludes = [] }) {
+  const errors = [];
+  const options = {
+    paginate: query.limit !== undefined || query.offset !== undefined || query.cursor !== undefined,
+    limit: null,
+    offset: 0,
+    cursor: null,
+    sort: null,
+    fields: null,
+    include: new Set()
+  };
+  
+  if (options.paginate) {
+    options.limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), LIST_MAX_LIMIT);
+    options.offset = Math.max(parseInt(query.offset) || 0, 0);
+  }
+  
+  const sortKey = String(query.sort || defaultSort);
+  const sortField = sortKey.replace(/^-/, '');
+  if (!sorts[sortField]) {
+    errors.push(`sort 必須是 ${Object.keys(sorts).join('、')} 其中之一（前面加 - 代表遞減）`);
+  } else {
+    options.sort = { key: sortKey, field: sortField, descending: sortKey.startsWith('-'), ...sorts[sortField] };
+  }
+  
+  if (query.cursor !== undefined) {
+    if (query.offset !== undefined) {
+      errors.push('cursor 與 offset 不可同時使用');
+    }
+    options.cursor = decodeListCursor(query.cursor);
+    if (!options.cursor) {
+      errors.push('cursor 格式錯誤，請使用上一頁回傳的 nextCursor');
+    } else if (options.sort && options.cursor.sort !== options.sort.key) {
+      errors.push('cursor 與目前的 sort 不一致，變更排序後請從第一頁開始');
+    } else if (options.sort && options.sort.type === 'date' && isNaN(new Date(options.cursor.value).getTime())) {
+      errors.push('cursor 格式錯誤，請使用上一頁回傳的 nextCursor');
+    }
+  }
+  
+  if (query.fields !== undefined) {
+    options.fields = new Set(String(query.fields).split(',').map(field => field.trim()).filter(field => field !== ''));
+    const unknown = [...options.fields].filter(field => !allowedFields.includes(field));
+    if (unknown.length > 0) {
+      errors.push(`不支援的 fields：${unknown.join('、')}，可用欄位為 ${allowedFields.join('、')}`);
+    }
+  }
+  
+  if (query.include !== undefined) {
+    options.include = new Set(String(query.include).split(',').map(item => item.trim()).filter(item => item !== ''));
+    const unknown = [...options.include].filter(item => !allowedIncludes.includes(item));
+    if (unknown.length > 0) {
+      errors.push(`不支援的 include：${unknown.join('、')}，可用值為 ${allowedIncludes.join('、') || '（無）'}`);
+    }
+  }
+  
+  return { errors, ...options };
+}
+
+// 產生 ORDER BY 與游標條件（排序值相同時以 ID 決定先後）
+function buildListOrder(sort, cursor, idColumn) {
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  const order = `ORDER BY ${sort.column} ${direction}, ${idColumn} ${direction}`;
+  
+  if (!cursor) {
+    return { order, condition: null, params: [] };
+  }
+  
+  const value = sort.type === 'date' ? new Date(cursor.value) : cursor.value;
+  const operator = sort.descending ? '<' : '>';
+  return {
+    order,
+    condition: `(${sort.column} ${operator} ? OR (${sort.column} = ? AND ${idColumn} ${operator} ?))`,
+    params: [value, value, cursor.id]
+  };
+}
+
+// 依 fields 只保留指定欄位（id 一律保留）
+function pickFields(item, fields) {
+  if (!fields) {
+    return item;
+  }
+  const picked = { id: item.id };
+  for (const field of fields) {
+    if (item[field] !== undefined) picked[field] = item[field];
+  }
+  return picked;
+}
+
+// 批次載入人物背景，回傳 Map<personId, { birth_year, body }>
+async function loadPersonBackgrounds(personIds) {
+  const backgroundsByPerson = new Map();
+  if (personIds.length === 0) {
+    return backgroundsByPerson;
+  }
+  
+  const placeholders = personIds.map(() => '?').join(',');
+  const rows = await queryDatabase(
+    `SELECT person_id, birth_year, body FROM person_backgrounds WHERE person_id IN (${placeholders}) AND deleted_at IS NULL`,
+    personIds
+  );
+  for (const row of rows) {
+    backgroundsByPerson.set(row.person_id, { birth_year: row.birth_year || null, body: row.body || '' });
+  }
+  return backgroundsByPerson;
+}
+
+function listValidationError(res, errors) {
+  return res.status(400).json({
+    error: '輸入驗證失敗',
+    details: errors,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// ==================== 時間點查詢與成長統計 ====================
+
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const GROWTH_INTERVALS = ['day', 'week', 'month'];
+const GROWTH_MAX_BUCKETS = 1000;
+
+// 解析日期參數：YYYY-MM-DD 以伺服器時區解讀（endOfDay 時取當天的最後一刻），
+// 或是 ISO 8601 時間（例如 2024-08-01T12:00:00+08:00）；格式錯誤時回傳 null
+function parseDateParam(value, { endOfDay = false } = {}) {
+  const text = String(value).trim();
+  const match = DATE_ONLY_PATTERN.exec(text);
+  
+  if (match) {
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    // 排除 2024-02-31 這類會被 Date 自動進位的日期
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    return endOfDay ? new Date(new Date(year, month - 1, day + 1).getTime() - 1) : date;
+  }
+  
+  if (!ISO_DATETIME_PATTERN.test(text)) {
+    return null;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// 解析 ?asOf=，回傳 { errors, asOf }；未提供時 asOf 為 null（代表目前）
+function parseAsOfOption(query) {
+  if (query.asOf === undefined || query.asOf === '') {
+    return { errors: [], asOf: null };
+  }
+  
+  const asOf = parseDateParam(query.asOf, { endOfDay: true });
+  if (!asOf) {
+    return { errors: ['asOf 必須是日期（YYYY-MM-DD）或 ISO 8601 時間'], asOf: null };
+  }
+  return { errors: [], asOf };
+}
+
+// 產生「在 asOf 當下存在」的 SQL 條件：當時已建立且尚未刪除（被還原的資料會視為從未刪除）
+// 未指定 asOf 時只排除目前在垃圾桶中的資料
+function buildAsOfCondition(asOf, alias = '') {
+  const prefix = alias ? `${alias}.` : '';
+  if (!asOf) {
+    return { condition: `${prefix}deleted_at IS NULL`, params: [] };
+  }
+  return {
+    condition: `(${prefix}created_at <= ? AND (${prefix}deleted_at IS NULL OR ${prefix}deleted_at > ?))`,
+    params: [asOf, asOf]
+  };
+}
+
+// 依關係歷程重建 asOf 當下的關係內容，回傳 Map<relationId, source>
+// 沒有當時歷程的關係不會出現在結果中（呼叫端沿用目前內容）
+async function loadRelationSourcesAsOf(relationIds, asOf) {
+  const history = await loadRelationHistory(relationIds);
+  const sources = new Map();
+  
+  for (const [relationId, entries] of history) {
+    let source = null;
+    for (const entry of entries) {
+      if (new Date(entry.createdAt) > asOf) break;
+      // 合併人物時被併入的關係歷程也有 created，除了第一筆以外都當成附加
+      source = source === null || entry.action === 'edited' ? entry.body : appendRelationSource(source, entry.body);
+    }
+    if (source !== null) {
+      sources.set(relationId, source);
+    }
+  }
+  
+  return sources;
+}
+
+// 將時間對齊到所屬區間的開頭（週以星期一為起點）
+function startOfPeriod(date, interval) {
+  if (interval === 'month') {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (interval === 'week') {
+    day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+  }
+  return day;
+}
+
+function addPeriod(date, interval) {
+  if (interval === 'month') {
+    return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+  }
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + (interval === 'week' ? 7 : 1));
+}
+
+function formatPeriodLabel(date, interval) {
+  const pad = value => String(value).padStart(2, '0');
+  const month = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+  return interval === 'month' ? month : `${month}-${pad(date.getDate())}`;
+}
+
+// 切出 from 到 to 之間的區間 [{ label, start, end }]（end 不含），超過上限時回傳 null
+function buildTimeBuckets(from, to, interval) {
+  const buckets = [];
+  for (let start = startOfPeriod(from, interval); start <= to; start = addPeriod(start, interval)) {
+    if (buckets.length >= GROWTH_MAX_BUCKETS) {
+      return null;
+    }
+    buckets.push({ label: formatPeriodLabel(start, interval), start, end: addPeriod(start, interval) });
+  }
+  return buckets;
+}
+
+// 資料在 time 之前已建立、且到 time 時尚未刪除
+function existsBefore(row, time) {
+  return new Date(row.created_at) < time && (!row.deleted_at || new Date(row.deleted_at) >= time);
+}
+
+// 計算每個區間結束時存在的筆數，以及區間內新增、刪除的筆數
+function countGrowth(rows, buckets) {
+  return buckets.map(({ start, end }) => {
+    const counts = { total: 0, added: 0, removed: 0 };
+    for (const row of rows) {
+      const createdAt = new Date(row.created_at);
+      const deletedAt = row.deleted_at ? new Date(row.deleted_at) : null;
+      if (existsBefore(row, end)) counts.total++;
+      if (createdAt >= start && createdAt < end) counts.added++;
+      if (deletedAt && deletedAt >= start && deletedAt < end) counts.removed++;
+    }
+    return counts;
+  });
+}
+
+// API 端點
+
+// GET /api/graph - 取得完整圖表資料
+// 分頁參數：limit、offset 或 cursor（以關係分頁，節點只包含本頁關係涉及的人物）、sort、fields（節點欄位）、include=background
+const GRAPH_EDGE_SORTS = {
+  id: { column: 'r.id' },
+  created_at: { column: 'r.created_at', type: 'date' }
+};
+const GRAPH_NODE_FIELDS = ['label', 'description', 'gender', 'telegram_username', 'telegram_id', 'aliases', 'created_at', 'community', 'background'];
+
+app.get('/api/graph', requireReadAccess('read'), async (req, res) => {
+  try {
+    console.log('取得圖表資料請求');
+    
+    const options = parseListOptions(req.query, {
+      sorts: GRAPH_EDGE_SORTS,
+      defaultSort: 'id',
+      fields: GRAPH_NODE_FIELDS,
+      includes: ['background']
+    });
+    // ?asOf= 時回傳該時間點的關係圖
+    const { errors: asOfErrors, asOf } = parseAsOfOption(req.query);
+    if (options.errors.length > 0 || asOfErrors.length > 0) {
+      return listValidationError(res, [...options.errors, ...asOfErrors]);
+    }
+    
+    const personsAsOf = buildAsOfCondition(asOf);
+    const relationsAsOf = buildAsOfCondition(asOf, 'r');
+    const { order, condition, params } = buildListOrder(options.sort, options.cursor, 'r.id');
+    const edgeWhere = [relationsAsOf.condition, condition].filter(Boolean).join(' AND ');
+    const limitClause = options.paginate ? `LIMIT ${options.limit + 1}${options.cursor ? '' : ` OFFSET ${options.offset}`}` : '';
+    
+    const [persons, relations, totalRows] = await Promise.all([
+      queryDatabase(`SELECT id, name, description, gender, telegram_username, telegram_id, created_at FROM persons WHERE ${personsAsOf.condition} ORDER BY id`, personsAsOf.params),
+      queryDatabase(`SELECT r.id, r.from_person_id, r.to_person_id, r.source, r.created_at, rt.slug AS type
+        FROM relations r LEFT JOIN relation_types rt ON rt.id = r.type_id WHERE ${edgeWhere} ${order} ${limitClause}`, [...relationsAsOf.params, ...params]),
+      options.paginate ? queryDatabase(`SELECT COUNT(*) AS total FROM relations r WHERE ${relationsAsOf.condition}`, relationsAsOf.params) : null
+    ]);
+    
+    // 多取一筆用來判斷是否還有下一頁
+    const hasMore = options.paginate && relations.length > options.limit;
+    if (hasMore) {
+      relations.pop();
+    }
+    
+    // 資料驗證
+    if (!Array.isArray(persons) || !Array.isArray(relations)) {
+      throw new Error('資料庫回傳格式錯誤');
+    }
+    
+    // 找出所有有連線的人物ID（兩端人物都存在的關係才算）
+    const existingPersonIds = new Set(persons.map(person => person.id));
+    const connectedPersonIds = new Set();
+    const validRelations = relations.filter(relation => {
+      if (existingPersonIds.has(relation.from_person_id) && existingPersonIds.has(relation.to_person_id)) {
+        connectedPersonIds.add(relation.from_person_id.toString());
+        connectedPersonIds.add(relation.to_person_id.toString());
+        return true;
+      }
+      return false;
+    });
+    
+    // 只保留有連線的人物
+    const connectedPersons = persons.filter(person => 
+      person.id && person.name && connectedPersonIds.has(person.id.toString())
+    );
+    
+    // ?community=true 時為每個節點標記社群編號（分頁時仍依整張圖（或該時間點）的關係計算，只取本頁節點的結果）
+    const withCommunity = req.query.community === 'true' || req.query.community === '1' ||
+      Boolean(options.fields && options.fields.has('community'));
+    let communities = null;
+    if (withCommunity) {
+      const communityRelations = options.paginate
+        ? (await queryDatabase(`SELECT r.from_person_id, r.to_person_id FROM relations r WHERE ${relationsAsOf.condition}`, relationsAsOf.params))
+          .filter(relation => existingPersonIds.has(relation.from_person_id) && existingPersonIds.has(relation.to_person_id))
+        : validRelations;
+      const adjacency = buildAdjacency(communityRelations);
+      communities = detectCommunities([...adjacency.keys()], adjacency);
+    }
+    
+    const withBackground = options.include.has('background') || Boolean(options.fields && options.fields.has('background'));
+    const backgroundsByPerson = withBackground
+      ? await loadPersonBackgrounds(connectedPersons.map(person => person.id))
+      : null;
+    const aliasesByPerson = options.fields
+      ? await loadPersonAliases(connectedPersons.map(person => person.id))
+      : null;
+
+    const nodes = connectedPersons.map(person => {
+      // 未指定 fields 時維持原本的 id、label（加上 community、background）
+      const node = options.fields ? pickFields({
+        id: person.id.toString(),
+        label: person.name.toString(),
+        description: person.description || '',
+        gender: person.gender,
+        telegram_username: person.telegram_username || null,
+        telegram_id: person.telegram_id || null,
+        aliases: aliasesByPerson.get(person.id) || [],
+        created_at: person.created_at
+      }, options.fields) : {
+        id: person.id.toString(),
+        label: person.name.toString()
+      };
+      if (communities) {
+        node.community = communities.get(person.id);
+      }
+      if (backgroundsByPerson) {
+        node.background = backgroundsByPerson.get(person.id) || null;
+      }
+      return node;
+    });
+    
+    // 時間點查詢時關係內容依歷程還原成當時的版本
+    const sourcesAsOf = asOf
+      ? await loadRelationSourcesAsOf(validRelations.map(relation => relation.id), asOf)
+      : null;
+    
+    const edges = validRelations.map(relation => ({
+      id: relation.id.toString(),
+      from: relation.from_person_id.toString(),
+      to: relation.to_person_id.toString(),
+      type: relation.type || null,
+      source: (sourcesAsOf && sourcesAsOf.has(relation.id) ? sourcesAsOf.get(relation.id) : relation.source) || ''
+    }));
+    
+    console.log(`回傳圖表資料: ${nodes.length} 個節點, ${edges.length} 個邊`);
+    
+    const response = {
+      success: true,
+      nodes,
+      edges,
+      timestamp: new Date().toISOString(),
+      counts: {
+        totalPersons: persons.length,
+        connectedPersons: nodes.length,
+        relations: edges.length
+      }
+    };
+    
+    if (asOf) {
+      response.asOf = asOf.toISOString();
+    }
+    
+    if (options.paginate) {
+      response.pagination = {
+        total: totalRows[0].total,
+        limit: options.limit,
+        offset: options.cursor ? null : options.offset,
+        hasMore,
+        nextCursor: hasMore ? encodeListCursor(options.sort, relations[relations.length - 1]) : null
+      };
+    }
+    
+    res.json(response);
+    
+  } catch (error) {
+    console.error('取得圖表資料錯誤:', error);
+    res.status(500).json({
+      error: '無法取得圖表資料',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/persons - 取得所有人物
+// 分頁參數：limit、offset 或 cursor、sort（name、id、created_at，-field 代表遞減）、fields、include=background
+const PERSON_LIST_SORTS = {
+  name: { column: 'name' },
+  id: { column: 'id' },
+  created_at: { column: 'created_at', type: 'date' }
+};
+const PERSON_LIST_FIELDS = ['name', 'description', 'gender', 'telegram_username', 'telegram_id', 'aliases', 'created_at', 'background'];
+
+app.get('/api/persons', requireReadAccess('read'), async (req, res) => {
+  try {
+    console.log('取得人物列表請求');
+    
+    const options = parseListOptions(req.query, {
+      sorts: PERSON_LIST_SORTS,
+      defaultSort: 'name',
+      fields: PERSON_LIST_FIELDS,
+      includes: ['background']
+    });
+    if (options.errors.length > 0) {
+      return listValidationError(res, options.errors);
+    }
+    
+    const { order, condition, params } = buildListOrder(options.sort, options.cursor, 'id');
+    const where = ['deleted_at IS NULL', condition].filter(Boolean).join(' AND ');
+    const limitClause = options.paginate ? `LIMIT ${options.limit + 1}${options.cursor ? '' : ` OFFSET ${options.offset}`}` : '';
+    
+    const [persons, totalRows] = await Promise.all([
+      queryDatabase(
+        `SELECT id, name, description, gender, telegram_username, telegram_id, created_at FROM persons WHERE ${where} ${order} ${limitClause}`,
+        params
+      ),
+      options.paginate ? queryDatabase('SELECT COUNT(*) AS total FROM persons WHERE deleted_at IS NULL') : null
+    ]);
+    
+    if (!Array.isArray(persons)) {
+      throw new Error('資料庫回傳格式錯誤');
+    }
+    
+    // 多取一筆用來判斷是否還有下一頁
+    const hasMore = options.paginate && persons.length > options.limit;
+    if (hasMore) {
+      persons.pop();
+    }
+    
+    const personIds = persons.map(person => person.id);
+    const withBackground = options.include.has('background') || Boolean(options.fields && options.fields.has('background'));
+    const [aliasesByPerson, backgroundsByPerson] = await Promise.all([
+      loadPersonAliases(personIds),
+      withBackground ? loadPersonBackgrounds(personIds) : null
+    ]);
+    
+    const validPersons = persons
+      .filter(person => person.id && person.name)
+      .map(person => {
+        const item = { ...person, aliases: aliasesByPerson.get(person.id) || [] };
+        if (backgroundsByPerson) {
+          item.background = backgroundsByPerson.get(person.id) || null;
+        }
+        return pickFields(item, options.fields && withBackground ? new Set([...options.fields, 'background']) : options.fields);
+      });
+    
+    console.log(`回傳人物列表: ${validPersons.length} 個人物`);
+    
+    const response = {
+      success: true,
+      persons: validPersons,
+      count: validPersons.length,
+      timestamp: new Date().toISOString()
+    };
+    
+    if (options.paginate) {
+      response.pagination = {
+        total: totalRows[0].total,
+        limit: options.limit,
+        offset: options.cursor ? null : options.offset,
+        hasMore,
+        nextCursor: hasMore ? encodeListCursor(options.sort, persons[persons.length - 1]) : null
+      };
+    }
+    
+    res.json(response);
+    
+  } catch (error) {
+    console.error('取得人物列表錯誤:', error);
+    res.status(500).json({
+      error: '無法取得人物列表',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ==================== 人物搜尋 ====================
+
+const SEARCH_QUERY_MAX_LENGTH = 100;
+const SEARCH_FUZZY_THRESHOLD = 0.6; // 三個字的中文名錯一個字（0.67）算符合，兩個字錯一個字（0.5）不算
+
+// 各欄位與比對方式的分數：名稱類欄位（名稱、帳號、別名）權重最高，背景最低
+const SEARCH_SCORES = {
+  exact: 100,
+  prefix: 80,
+  substring: 60,
+  description: 30,
+  background: 20,
+  fuzzy: 50 // 乘上相似度
+};
+
+// 正規化搜尋字串：NFKC 把全形英數與相容字元轉為半形，再轉小寫並去除 @ 與多餘空白
+function normalizeSearchText(text) {
+  return String(text || '').normalize('NFKC').toLowerCase().replace(/^@/, '').replace(/\s+/g, ' ').trim();
+}
+
+// 以 Unicode code point 計算的編輯距離相似度（0 到 1），中文一個字算一個單位，相鄰字元對調算一次編輯
+function editSimilarity(a, b) {
+  const source = Array.from(a);
+  const target = Array.from(b);
+  if (source.length === 0 || target.length === 0) {
+    return 0;
+  }
+  
+  let beforePrevious = null;
+  let previous = Array.from({ length: target.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= target.length; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  
+  return 1 - previous[target.length] / Math.max(source.length, target.length);
+}
+
+// 計算單一查詢詞在人物各欄位的最佳分數，回傳 { score, field, type }，沒有符合時 score 為 0
+function scoreSearchTerm(term, fields) {
+  let best = { score: 0, field: null, type: null };
+  const consider = (score, field, type) => {
+    if (score > best.score) best = { score, field, type };
+  };
+  
+  for (const { field, value } of fields.names) {
+    if (value === term) {
+      consider(SEARCH_SCORES.exact, field, 'exact');
+    } else if (value.startsWith(term)) {
+      consider(SEARCH_SCORES.prefix, field, 'prefix');
+    } else if (value.includes(term)) {
+      consider(SEARCH_SCORES.substring, field, 'substring');
+    } else {
+      // 英文名稱也和每個單字比對，例如 jhon 可以找到 John Chen
+      const candidates = [value, ...value.split(' ')];
+      const similarity = Math.max(...candidates.map(candidate => editSimilarity(term, candidate)));
+      if (similarity >= SEARCH_FUZZY_THRESHOLD) {
+        consider(Math.round(SEARCH_SCORES.fuzzy * similarity), field, 'fuzzy');
+      }
+    }
+  }
+  
+  if (fields.description.includes(term)) {
+    consider(SEARCH_SCORES.description, 'description', 'substring');
+  }
+  if (fields.background.includes(term)) {
+    consider(SEARCH_SCORES.background, 'background', 'substring');
+  }
+  
+  return best;
+}
+
+// 依查詢字串為人物排序；多個以空白分隔的查詢詞需全部符合，分數相加
+function searchPersons(persons, query) {
+  const terms = normalizeSearchText(query).split(' ').filter(term => term !== '');
+  const results = [];
+  
+  for (const person of persons) {
+    const fields = {
+      names: [
+        { field: 'name', value: normalizeSearchText(person.name) },
+        { field: 'telegram_username', value: normalizeSearchText(person.telegram_username) },
+        ...person.aliases.map(alias => ({ field: 'alias', value: normalizeSearchText(alias) }))
+      ].filter(entry => entry.value !== ''),
+      description: normalizeSearchText(person.description),
+      background: normalizeSearchText(person.background)
+    };
+    
+    const matches = terms.map(term => ({ term, ...scoreSearchTerm(term, fields) }));
+    if (matches.some(match => match.score === 0)) continue;
+    
+    results.push({
+      person,
+      score: matches.reduce((sum, match) => sum + match.score, 0),
+      matches
+    });
+  }
+  
+  return results.sort((a, b) =>
+    b.score - a.score ||
+    Array.from(a.person.name).length - Array.from(b.person.name).length ||
+    a.person.name.localeCompare(b.person.name, 'zh-Hant')
+  );
+}
+
+// GET /api/persons/search?q=小明 - 依名稱、帳號、別名、簡介與背景搜尋人物（含模糊比對）
+// 分頁：limit、offset；每分鐘最多 60 次（每次都會載入全部人物計算相似度）
+app.get('/api/persons/search', requireReadAccess('read'), rateLimit(60000, 60), async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    
+    if (normalizeSearchText(query) === '' || query.length > SEARCH_QUERY_MAX_LENGTH) {
+      return res.status(400).json({
+        error: '輸入驗證失敗',
+        details: [`請提供 q 查詢參數，長度不可超過 ${SEARCH_QUERY_MAX_LENGTH} 字元`],
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // 模糊比對需要逐筆計算，人物數量在數千以內時直接在記憶體中排序即可
+    const rows = await queryDatabase(
+      `SELECT p.id, p.name, p.description, p.gender, p.telegram_username, p.telegram_id, b.body AS background
+        FROM persons p
+        LEFT JOIN person_backgrounds b ON b.person_id = p.id AND b.deleted_at IS NULL
+        WHERE p.deleted_at IS NULL`
+    );
+    const aliasesByPerson = await loadPersonAliases(rows.map(row => row.id));
+    const persons = rows.map(row => ({ ...row, aliases: aliasesByPerson.get(row.id) || [] }));
+    
+    const results = searchPersons(persons, query);
+    const page = results.slice(offset, offset + limit);
+    
+    res.json({
+      success: true,
+      query,
+      total: results.length,
+      limit,
+      offset,
+      hasMore: offset + page.length < results.length,
+      results: page.map(result => ({
+        ...formatPersonWithIdentity(result.person, result.person.aliases),
+        score: result.score,
+        matches: result.matches.map(({ term, field, type }) => ({ term, field, type }))
+      })),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('搜尋人物錯誤:', error);
+    res.status(500).json({
+      error: '無法搜尋人物',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 查詢人物及其直接關係與鄰接人物，人物不存在時回傳 null
+async function loadPersonRelations(personId) {
+  const personRows = await queryDatabase(
+    'SELECT id, name, description, gender FROM persons WHERE id = ? AND deleted_at IS NULL',
+    [personId]
+  );
+
+  if (personRows.length === 0) {
+    return null;
+  }
+
+  const person = personRows[0];
+
+  // 取得所有與該人物相關的關係（雙向）
+  const relations = await queryDatabase(
+    `SELECT r.id, r.from_person_id, r.to_person_id, r.source, rt.slug AS type
+      FROM relations r LEFT JOIN relation_types rt ON rt.id = r.type_id
+      WHERE (r.from_person_id = ? OR r.to_person_id = ?) AND r.deleted_at IS NULL ORDER BY r.id`,
+    [personId, personId]
+  );
+
+  // 收集鄰接人物 ID
+  const neighborIdSet = new Set();
+  for (const rel of relations) {
+    if (rel.from_person_id === personId) neighborIdSet.add(rel.to_person_id);
+    if (rel.to_person_id === personId) neighborIdSet.add(rel.from_person_id);
+  }
+
+  const neighborIds = Array.from(neighborIdSet);
+  let neighbors = [];
+  if (neighborIds.length > 0) {
+    const placeholders = neighborIds.map(() => '?').join(',');
+    const neighborRows = await queryDatabase(
+      `SELECT id, name, gender FROM persons WHERE id IN (${placeholders}) AND deleted_at IS NULL ORDER BY id`,
+      neighborIds
+    );
+    neighbors = neighborRows.map(row => ({ id: row.id, name: row.name, gender: row.gender }));
+  }
+
+  const edges = relations.map(r => ({
+    id: r.id,
+    from: r.from_person_id,
+    to: r.to_person_id,
+    type: r.type || null,
+    source: r.source || ''
+  }));
+
+  return { person, neighbors, edges };
+}
+
+// 建立無向鄰接表（人物 ID → 相鄰人物 ID 集合）
+function buildAdjacency(relations) {
+  const adjacency = new Map();
+  for (const rel of relations) {
+    if (!rel.from_person_id || !rel.to_person_id) continue;
+    if (!adjacency.has(rel.from_person_id)) adjacency.set(rel.from_person_id, new Set());
+    if (!adjacency.has(rel.to_person_id)) adjacency.set(rel.to_person_id, new Set());
+    adjacency.get(rel.from_person_id).add(rel.to_person_id);
+    adjacency.get(rel.to_person_id).add(rel.from_person_id);
+  }
+  return adjacency;
+}
+
+// 以廣度優先搜尋取得 depth 層內的人物，回傳 人物 ID → 距離
+function collectNeighborhood(adjacency, centerId, depth) {
+  const distances = new Map([[centerId, 0]]);
+  let frontier = [centerId];
+
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const neighborId of adjacency.get(id) || []) {
+        if (!distances.has(neighborId)) {
+          distances.set(neighborId, hop);
+          next.push(neighborId);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return distances;
+}
+
+// 以廣度優先搜尋找出兩人之間的最短路徑（人物 ID 陣列），all 為 true 時回傳所有最短路徑
+function findShortestPaths(adjacency, fromId, toId, { maxDepth = 6, all = false, limit = 20 } = {}) {
+  if (fromId === toId) {
+    return [[fromId]];
+  }
+
+  // 記錄每個人物在最短路徑上的前一個人物（可能有多個）
+  const parents = new Map([[fromId, []]]);
+  let frontier = [fromId];
+  let found = false;
+
+  for (let hop = 1; hop <= maxDepth && frontier.length > 0 && !found; hop++) {
+    const next = [];
+    const levelParents = new Map();
+
+    for (const id of frontier) {
+      for (const neighborId of adjacency.get(id) || []) {
+        if (parents.has(neighborId)) continue;
+        if (!levelParents.has(neighborId)) {
+          levelParents.set(neighborId, []);
+          next.push(neighborId);
+        }
+        levelParents.get(neighborId).push(id);
+      }
+    }
+
+    for (const [id, list] of levelParents) {
+      parents.set(id, list);
+    }
+
+    found = levelParents.has(toId);
+    frontier = next;
+  }
+
+  if (!found) {
+    return [];
+  }
+
+  // 從終點往回展開路徑
+  const maxPaths = all ? limit : 1;
+  const paths = [];
+  const walk = (id, suffix) => {
+    if (paths.length >= maxPaths) return;
+    if (id === fromId) {
+      paths.push([fromId, ...suffix]);
+      return;
+    }
+    for (const parentId of parents.get(id)) {
+      walk(parentId, [id, ...suffix]);
+    }
+  };
+  walk(toId, []);
+
+  return paths;
+}
+
+// 產生無向關係的查詢 key（1-3 與 3-1 相同）
+function relationPairKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+// ==================== 圖分析 ====================
+
+// 計算連通元件，回傳依大小排序的人物 ID 陣列
+function findConnectedComponents(personIds, adjacency) {
+  const visited = new Set();
+  const components = [];
+
+  for (const startId of personIds) {
+    if (visited.has(startId)) continue;
+
+    const component = [];
+    const stack = [startId];
+    visited.add(startId);
+
+    while (stack.length > 0) {
+      const id = stack.pop();
+      component.push(id);
+      for (const neighborId of adjacency.get(id) || []) {
+        if (!visited.has(neighborId)) {
+          visited.add(neighborId);
+          stack.push(neighborId);
+        }
+      }
+    }
+
+    components.push(component.sort((a, b) => a - b));
+  }
+
+  return components.sort((a, b) => b.length - a.length || a[0] - b[0]);
+}
+
+// Brandes 演算法計算無向圖的中介中心性（已正規化到 0-1）
+function computeBetweenness(personIds, adjacency) {
+  const centrality = new Map(personIds.map(id => [id, 0]));
+
+  for (const sourceId of personIds) {
+    const stack = [];
+    const predecessors = new Map(personIds.map(id => [id, []]));
+    const sigma = new Map(personIds.map(id => [id, 0]));
+    const distance = new Map([[sourceId, 0]]);
+    sigma.set(sourceId, 1);
+
+    const queue = [sourceId];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      for (const w of adjacency.get(v) || []) {
+        if (!distance.has(w)) {
+          distance.set(w, distance.get(v) + 1);
+          queue.push(w);
+        }
+        if (distance.get(w) === distance.get(v) + 1) {
+          sigma.set(w, sigma.get(w) + sigma.get(v));
+          predecessors.get(w).push(v);
+        }
+      }
+    }
+
+    const delta = new Map(personIds.map(id => [id, 0]));
+    while (stack.length > 0) {
+      const w = stack.pop();
+      for (const v of predecessors.get(w)) {
+        delta.set(v, delta.get(v) + (sigma.get(v) / sigma.get(w)) * (1 + delta.get(w)));
+      }
+      if (w !== sourceId) {
+        centrality.set(w, centrality.get(w) + delta.get(w));
+      }
+    }
+  }
+
+  // 無向圖每條路徑被計算兩次，並以 (n-1)(n-2) / 2 正規化
+  const n = personIds.length;
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+  for (const [id, value] of centrality) {
+    centrality.set(id, value * scale);
+  }
+
+  return centrality;
+}
+
+// Louvain 演算法偵測社群，回傳 人物 ID → 社群編號（依社群大小由 0 開始編號）
+function detectCommunities(personIds, adjacency) {
+  const orderedIds = [...personIds].sort((a, b) => a - b);
+  const indexOf = new Map(orderedIds.map((id, index) => [id, index]));
+
+  // 以加權鄰接表表示目前層級的圖（weights[i] 為 Map: j → 權重，自環代表社群內部連線）
+  let weights = orderedIds.map(id => {
+    const row = new Map();
+    for (const neighborId of adjacency.get(id) || []) {
+      if (indexOf.has(neighborId)) row.set(indexOf.get(neighborId), 1);
+    }
+    return row;
+  });
+  // 原始人物對應到目前層級的節點
+  let membership = orderedIds.map((id, index) => index);
+
+  while (true) {
+    const nodeCount = weights.length;
+    const degrees = weights.map(row => [...row.values()].reduce((sum, w) => sum + w, 0));
+    const totalWeight = degrees.reduce((sum, d) => sum + d, 0);
+    if (totalWeight === 0) break;
+
+    const community = weights.map((row, index) => index);
+    const communityTotals = [...degrees];
+    let movedAny = false;
+    let moved = true;
+
+    while (moved) {
+      moved = false;
+
+      for (let i = 0; i < nodeCount; i++) {
+        const current = community[i];
+        const links = new Map();
+        for (const [j, w] of weights[i]) {
+          if (j === i) continue;
+          links.set(community[j], (links.get(community[j]) || 0) + w);
+        }
+
+        communityTotals[current] -= degrees[i];
+
+        let best = current;
+        let bestGain = (links.get(current) || 0) - communityTotals[current] * degrees[i] / totalWeight;
+        for (const [candidate, linkWeight] of links) {
+          const gain = linkWeight - communityTotals[candidate] * degrees[i] / totalWeight;
+          if (gain > bestGain + 1e-12 || (Math.abs(gain - bestGain) <= 1e-12 && candidate < best)) {
+            best = candidate;
+            bestGain = gain;
+          }
+        }
+
+        communityTotals[best] += degrees[i];
+        if (best !== current) {
+          community[i] = best;
+          moved = true;
+          movedAny = true;
+        }
+      }
+    }
+
+    if (!movedAny) break;
+
+    // 將每個社群合併成下一層的單一節點
+    const renumber = new Map();
+    community.forEach(c => {
+      if (!renumber.has(c)) renumber.set(c, renumber.size);
+    });
+
+    const nextWeights = Array.from({ length: renumber.size }, () => new Map());
+    weights.forEach((row, i) => {
+      const ci = renumber.get(community[i]);
+      for (const [j, w] of row) {
+        const cj = renumber.get(community[j]);
+        nextWeights[ci].set(cj, (nextWeights[ci].get(cj) || 0) + w);
+      }
+    });
+
+    membership = membership.map(node => renumber.get(community[node]));
+    weights = nextWeights;
+  }
+
+  // 依社群大小重新編號
+  const groups = new Map();
+  orderedIds.forEach((id, index) => {
+    const label = membership[index];
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(id);
+  });
+
+  const communities = new Map();
+  [...groups.values()]
+    .sort((a, b) => b.length - a.length || a[0] - b[0])
+    .forEach((members, index) => {
+      members.forEach(id => communities.set(id, index));
+    });
+
+  return communities;
+}
+
+// 計算社群劃分的模組度（modularity）
+function computeModularity(communities, adjacency) {
+  let degreeTotal = 0;
+  let insideDegree = 0;
+  const degreeSums = new Map();
+
+  for (const [id, neighbors] of adjacency) {
+    const community = communities.get(id);
+    degreeTotal += neighbors.size;
+    degreeSums.set(community, (degreeSums.get(community) || 0) + neighbors.size);
+    for (const neighborId of neighbors) {
+      if (communities.get(neighborId) === community) insideDegree++;
+    }
+  }
+
+  if (degreeTotal === 0) return 0;
+
+  let expected = 0;
+  for (const sum of degreeSums.values()) {
+    expected += Math.pow(sum / degreeTotal, 2);
+  }
+
+  return insideDegree / degreeTotal - expected;
+}
+
+// GET /api/person/:id/relations - 查詢某個人物的關係狀態
+app.get('/api/person/:id/relations', requireReadAccess('read'), async (req, res) => {
+  try {
+    const personId = validateId(req.params.id);
+    console.log(`查詢人物關係狀態: personId=${personId}`);
+
+    const result = await loadPersonRelations(personId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: '人物不存在',
+        message: `找不到 ID 為 ${personId} 的人物`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { person, neighbors, edges } = result;
+
+    res.json({
+      success: true,
+      person: {
+        id: person.id,
+        name: person.name,
+        description: person.description || '',
+        gender: person.gender
+      },
+      degree: edges.length,
+      neighbors,
+      edges,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('查詢人物關係狀態錯誤:', error);
+    res.status(500).json({
+      error: '無法查詢人物關係狀態',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/path?from=:id&to=:id - 查詢兩人之間的最短關係路徑（每分鐘最多 30 次）
+app.get('/api/path', requireReadAccess('read'), rateLimit(60000, 30), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: '缺少必要參數',
+        message: '請提供 from 與 to 查詢參數，例如 /api/path?from=1&to=4',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const fromId = validateId(from);
+    const toId = validateId(to);
+    const all = req.query.all === 'true' || req.query.all === '1';
+    const maxDepth = Math.min(Math.max(parseInt(req.query.maxDepth) || 6, 1), 10);
+
+    console.log(`查詢關係路徑: from=${fromId}, to=${toId}, all=${all}, maxDepth=${maxDepth}`);
+
+    const [persons, relations] = await Promise.all([
+      queryDatabase('SELECT id, name, gender FROM persons WHERE deleted_at IS NULL'),
+      queryDatabase(`SELECT r.id, r.from_person_id, r.to_person_id, r.source, rt.slug AS type
+        FROM relations r LEFT JOIN relation_types rt ON rt.id = r.type_id WHERE r.deleted_at IS NULL ORDER BY r.id`)
+    ]);
+
+    const personMap = new Map(persons.map(person => [person.id, person]));
+
+    for (const id of [fromId, toId]) {
+      if (!personMap.has(id)) {
+        return res.status(404).json({
+          error: '人物不存在',
+          message: `找不到 ID 為 ${id} 的人物`,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const relationMap = new Map(relations.map(rel => [relationPairKey(rel.from_person_id, rel.to_person_id), rel]));
+    const paths = findShortestPaths(buildAdjacency(relations), fromId, toId, { maxDepth, all });
+
+    const result = paths.map(path => ({
+      length: path.length - 1,
+      persons: path.map(id => {
+        const person = personMap.get(id);
+        return { id: person.id, name: person.name, gender: person.gender };
+      }),
+      hops: path.slice(1).map((id, index) => {
+        const relation = relationMap.get(relationPairKey(path[index], id));
+        return {
+          from: path[index],
+          to: id,
+          relationId: relation.id,
+          type: relation.type || null,
+          source: relation.source || ''
+        };
+      })
+    }));
+
+    res.json({
+      success: true,
+      from: { id: fromId, name: personMap.get(fromId).name },
+      to: { id: toId, name: personMap.get(toId).name },
+      connected: result.length > 0,
+      distance: result.length > 0 ? result[0].length : null,
+      paths: result,
+      message: result.length > 0 ? `找到 ${result.length} 條最短路徑` : `${maxDepth} 層內找不到兩人之間的關係`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('查詢關係路徑錯誤:', error);
+    res.status(500).json({
+      error: '無法查詢關係路徑',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/stats - 圖分析統計（度數分布、中心性、連通元件、社群），每分鐘最多 20 次
+app.get('/api/stats', requireReadAccess('read'), rateLimit(60000, 20), async (req, res) => {
+  try {
+    const top = Math.min(Math.max(parseInt(req.query.top) || 10, 1), 100);
+    console.log(`取得圖分析統計請求: top=${top}`);
+
+    const [persons, relations] = await Promise.all([
+      queryDatabase('SELECT id, name, gender FROM persons WHERE deleted_at IS NULL ORDER BY id'),
+      queryDatabase('SELECT id, from_person_id, to_person_id FROM relations WHERE deleted_at IS NULL ORDER BY id')
+    ]);
+
+    const personMap = new Map(persons.map(person => [person.id, person]));
+    const validRelations = relations.filter(rel =>
+      personMap.has(rel.from_person_id) && personMap.has(rel.to_person_id) && rel.from_person_id !== rel.to_person_id
+    );
+    const adjacency = buildAdjacency(validRelations);
+    const personIds = persons.map(person => person.id);
+    const connectedIds = personIds.filter(id => adjacency.has(id));
+    const describe = id => ({ id, name: personMap.get(id).name });
+
+    // 度數分布
+    const degrees = new Map(personIds.map(id => [id, adjacency.has(id) ? adjacency.get(id).size : 0]));
+    const distribution = new Map();
+    for (const degree of degrees.values()) {
+      distribution.set(degree, (distribution.get(degree) || 0) + 1);
+    }
+    const degreeValues = [...degrees.values()];
+
+    const topConnected = [...degrees.entries()]
+      .filter(([, degree]) => degree > 0)
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .slice(0, top)
+      .map(([id, degree]) => ({ ...describe(id), degree }));
+
+    // 中介中心性（只計算有連線的人物）
+    const betweenness = [...computeBetweenness(connectedIds, adjacency).entries()]
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .slice(0, top)
+      .map(([id, score]) => ({ ...describe(id), score: Number(score.toFixed(6)) }));
+
+    // 連通元件（孤立人物各自成為一個元件）
+    const components = findConnectedComponents(personIds, adjacency);
+
+    // 社群偵測
+    const communities = detectCommunities(connectedIds, adjacency);
+    const communityMembers = new Map();
+    for (const [id, community] of communities) {
+      if (!communityMembers.has(community)) communityMembers.set(community, []);
+      communityMembers.get(community).push(describe(id));
+    }
+
+    res.json({
+      success: true,
+      counts: {
+        persons: persons.length,
+        relations: validRelations.length,
+        connectedPersons: connectedIds.length,
+        isolatedPersons: persons.length - connectedIds.length
+      },
+      degree: {
+        average: degreeValues.length > 0 ? Number((degreeValues.reduce((sum, d) => sum + d, 0) / degreeValues.length).toFixed(3)) : 0,
+        max: degreeValues.length > 0 ? Math.max(...degreeValues) : 0,
+        distribution: [...distribution.entries()]
+          .sort((a, b) => a[0] - b[0])
+          .map(([degree, count]) => ({ degree, count }))
+      },
+      topConnected,
+      betweenness,
+      components: {
+        count: components.length,
+        largest: components.length > 0 ? components[0].length : 0,
+        list: components
+          .filter(component => component.length > 1)
+          .map(component => ({ size: component.length, members: component.map(describe) }))
+      },
+      communities: {
+        algorithm: 'louvain',
+        count: communityMembers.size,
+        modularity: Number(computeModularity(communities, adjacency).toFixed(6)),
+        list: [...communityMembers.entries()]
+          .sort((a, b) => a[0] - b[0])
+          .map(([community, members]) => ({ community, size: members.length, members }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('取得圖分析統計錯誤:', error);
+    res.status(500).json({
+      error: '無法取得圖分析統計',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/stats/growth - 人物與關係隨時間的成長（interval=day|week|month，from、to 為日期）
+// 每分鐘最多 30 次
+app.get('/api/stats/growth', requireReadAccess('read'), rateLimit(60000, 30), async (req, res) => {
+  try {
+    const interval = req.query.interval || 'month';
+    const errors = [];
+    
+    if (!GROWTH_INTERVALS.includes(interval)) {
+      errors.push(`interval 必須是 ${GROWTH_INTERVALS.join('、')} 其中之一`);
+    }
+    const from = req.query.from !== undefined ? parseDateParam(req.query.from) : null;
+    if (req.query.from !== undefined && !from) {
+      errors.push('from 必須是日期（YYYY-MM-DD）或 ISO 8601 時間');
+    }
+    const to = req.query.to !== undefined ? parseDateParam(req.query.to, { endOfDay: true }) : new Date();
+    if (!to) {
+      errors.push('to 必須是日期（YYYY-MM-DD）或 ISO 8601 時間');
+    }
+    if (errors.length === 0 && from && from > to) {
+      errors.push('from 不可晚於 to');
+    }
+    if (errors.length > 0) {
+      return listValidationError(res, errors);
+    }
+    
+    console.log(`取得成長統計請求: interval=${interval}`);
+    
+    // 包含已刪除的資料，才能算出過去某個時間點的數量
+    const [persons, relations] = await Promise.all([
+      queryDatabase('SELECT created_at, deleted_at FROM persons'),
+      queryDatabase('SELECT created_at, deleted_at FROM relations')
+    ]);
+    
+    // 未指定 from 時從第一筆資料的時間開始
+    const earliest = [...persons, ...relations].reduce(
+      (min, row) => (min === null || new Date(row.created_at) < min ? new Date(row.created_at) : min),
+      null
+    );
+    const start = from || earliest || to;
+    
+    const buckets = buildTimeBuckets(start, to, interval);
+    if (!buckets) {
+      return listValidationError(res, [`區間數量超過 ${GROWTH_MAX_BUCKETS} 個，請縮小範圍或改用較長的 interval`]);
+    }
+    
+    const personCounts = countGrowth(persons, buckets);
+    const relationCounts = countGrowth(relations, buckets);
+    
+    res.json({
+      success: true,
+      interval,
+      from: start.toISOString(),
+      to: to.toISOString(),
+      series: buckets.map((bucket, index) => ({
+        period: bucket.label,
+        start: bucket.start.toISOString(),
+        persons: personCounts[index].total,
+        relations: relationCounts[index].total,
+        newPersons: personCounts[index].added,
+        newRelations: relationCounts[index].added,
+        removedPersons: personCounts[index].removed,
+        removedRelations: relationCounts[index].removed
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('取得成長統計錯誤:', error);
+    res.status(500).json({
+      error: '無法取得成長統計',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/background?id=:id - 取得人物背景資訊（使用 Query Parameters）
+app.get('/api/background', requireReadAccess('read'), async (req, res) => {
+  try {
+    const { id } = req.query;
+    
+    if (id === undefined || id === null || id === '') {
+      return res.status(400).json({
+        error: '缺少必要參數',
+        message: '請提供 id 參數',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const personId = validateId(id);
+    
+    // 檢查人物是否存在
+    const personResult = await queryDatabase(
+      'SELECT id, name, description, gender FROM persons WHERE id = ? AND deleted_at IS NULL',
+      [personId]
+    );
+    
+    if (personResult.length === 0) {
+      return res.status(404).json({
+        error: '人物不存在',
+        message: `找不到 ID 為 ${personId} 的人物`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // 查詢背景資訊
+    const backgroundResult = await queryDatabase(
+      'SELECT person_id, birth_year, body, created_at, updated_at FROM person_backgrounds WHERE person_id = ? AND deleted_at IS NULL',
+      [personId]
+    );
+    
+    const person = personResult[0];
+    const background = backgroundResult.length > 0 ? backgroundResult[0] : null;
+    
+    res.json({
+      success: true,
+      person: {
+        id: person.id,
+        name: person.name,
+        description: person.description,
+        gender: person.gender
+      },
+      background: background ? {
+        birth_year: background.birth_year || null,
+        body: background.body || '',
+        created_at: background.created_at,
+        updated_at: background.updated_at
+      } : null,
+      message: background ? '成功取得人物背景' : '此人物尚無背景資訊',
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('取得人物背景錯誤:', error);
+    res.status(500).json({
+      error: '無法取得人物背景',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/background - 新增或更新人物背景資訊（使用 Query Parameters）
+app.post('/api/background',
+  requireSessionOrApiKey('write:persons'), // 支援 Session Token 或 API Key
+  rateLimit(60000, 30), // 每分鐘最多 30 次
+  validateInput({
+    required: ['id'],
+    types: { 
+      id: 'string',
+      // birth_year 可以是 string 或 number，後面會轉換
+      body: 'string'
+    },
+    numberRange: {
+      id: { min: 1, max: 2147483647 },
+      birth_year: { min: 1900, max: 2100 } // numberRange 會自動用 parseFloat 檢查
+    }
+  }),
+  async (req, res) => {
+    try {
+      const personId = validateId(req.body.id);
+      
+      // 處理 birth_year：可以接受字串或數字，統一轉換成數字或 null
+      let birth_year = null;
+      if (req.body.birth_year !== undefined && req.body.birth_year !== null && req.body.birth_year !== '') {
+        const parsedYear = parseInt(req.body.birth_year, 10);
+        if (isNaN(parsedYear)) {
+          return res.status(400).json({
+            error: '輸入驗證失敗',
+            details: ['birth_year 必須是有效的數字'],
+            timestamp: new Date().toISOString()
+          });
+        }
+        birth_year = parsedYear;
+      }
+      
+      const { body = '' } = req.body;
+      
+      // 清理輸入
+      const cleanBody = sanitizeInput(body);
+      
+      // 檢查人物是否存在
+      const personExists = await queryDatabase(
+        'SELECT id FROM persons WHERE id = ? AND deleted_at IS NULL',
+        [personId]
+      );
+      
+      if (personExists.length === 0) {
+        return res.status(404).json({
+          error: '人物不存在',
+          message: `找不到 ID 為 ${personId} 的人物`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // 檢查背景資訊是否已存在
+      const existingBackground = await queryDatabase(
+        'SELECT person_id, birth_year, body, deleted_at FROM person_backgrounds WHERE person_id = ?',
+        [personId]
+      );
+      
+      let result;
+      let isUpdate = false;
+      
+      if (existingBackground.length > 0) {
+        // 更新現有背景；已在垃圾桶中的背景會被新內容取代並移出垃圾桶，視為新增
+        result = await queryDatabase(
+          'UPDATE person_backgrounds SET birth_year = ?, body = ?, deleted_at = NULL, deleted_with_person_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE person_id = ?',
+          [birth_year, cleanBody, personId]
+        );
+        isUpdate = existingBackground[0].deleted_at === null;
+      } else {
+        // 新增背景
+        result = await queryDatabase(
+          'INSERT INTO person_backgrounds (person_id, birth_year, body) VALUES (?, ?, ?)',
+          [personId, birth_year, cleanBody]
+        );
+      }
+      
+      await bumpGraphVersion();
+      console.log(`${isUpdate ? '更新' : '新增'}人物背景成功:`, { personId, birth_year, bodyLength: cleanBody.length });
+      await recordAudit(req, isUpdate ? 'background.update' : 'background.create', {
+        entityType: 'background',
+        entityId: personId,
+        before: existingBackground[0] || null,
+        after: { person_id: personId, birth_year, body: cleanBody }
+      });
+      
+      res.json({
+        success: true,
+        personId: personId,
+        action: isUpdate ? 'updated' : 'created',
+        message: `人物背景${isUpdate ? '更新' : '新增'}成功`,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('新增/更新人物背景錯誤:', error);
+      res.status(500).json({
+        error: '無法處理人物背景',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// GET /api/relations?id=:id - 以查詢參數查詢人物的關係狀態
+app.get('/api/relations', requireReadAccess('read'), async (req, res) => {
+  try {
+    const { id } = req.query;
+    if (id === undefined || id === null || id === '') {
+      return res.status(400).json({
+        error: '缺少必要參數',
+        message: '請提供 id 查詢參數，例如 /api/relations?id=1',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const personId = validateId(id);
+    console.log(`查詢人物關係狀態(參數版): personId=${personId}`);
+
+    const result = await loadPersonRelations(personId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: '人物不存在',
+        message: `找不到 ID 為 ${personId} 的人物`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { person, neighbors, edges } = result;
+    const history = await loadRelationHistory(edges.map(edge => edge.id));
+
+    res.json({
+      success: true,
+      person: {
+        id: person.id,
+        name: person.name,
+        description: person.description || '',
+        gender: person.gender
+      },
+      degree: edges.length,
+      neighbors,
+      edges: edges.map(edge => ({ ...edge, history: history.get(edge.id) || [] })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('查詢人物關係狀態(參數版)錯誤:', error);
+    res.status(500).json({
+      error: '無法查詢人物關係狀態',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ==================== 人物識別（Telegram 帳號與別名） ====================
+
+// Telegram 使用者名稱：5 到 32 個字元，英文字母開頭，只能包含英數字與底線（儲存時不含 @）
+const TELEGRAM_USERNAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{4,31}$/;
+const PERSON_ALIAS_MAX_LENGTH = 100;
+const MAX_PERSON_ALIASES = 20;
+
+// 解析人物的識別欄位：undefined 表示不變更、null 或空字串表示清除
+// 回傳 { errors, telegramUsername, telegramId, aliases }
+function parsePersonIdentityFields(body) {
+  const errors = [];
+  const fields = { telegramUsername: undefined, telegramId: undefined, aliases: undefined };
+  
+  if (body.telegram_username !== undefined) {
+    if (body.telegram_username === null || body.telegram_username === '') {
+      fields.telegramUsername = null;
+    } else if (typeof body.telegram_username !== 'string') {
+      errors.push('欄位 telegram_username 必須是 string 類型');
+    } else {
+      const username = body.telegram_username.trim().replace(/^@/, '');
+      if (!TELEGRAM_USERNAME_PATTERN.test(username)) {
+        errors.push('欄位 telegram_username 必須是 5 到 32 個字元的 Telegram 使用者名稱（英文字母開頭，只能包含英數字與底線）');
+      } else {
+        fields.telegramUsername = username;
+      }
+    }
+  }
+  
+  if (body.telegram_id !== undefined) {
+    if (body.telegram_id === null || body.telegram_id === '') {
+      fields.telegramId = null;
+    } else if (!TELEGRAM_USER_ID_PATTERN.test(String(body.telegram_id).trim())) {
+      errors.push('欄位 telegram_id 必須是 Telegram 使用者的數字 ID');
+    } else {
+      fields.telegramId = String(body.telegram_id).trim();
+    }
+  }
+  
+  if (body.aliases !== undefined) {
+    if (body.aliases === null) {
+      fields.aliases = [];
+    } else if (!Array.isArray(body.aliases) || body.aliases.some(alias => typeof alias !== 'string')) {
+      errors.push('欄位 aliases 必須是字串陣列');
+    } else {
+      // 去除空白與大小寫重複的別名
+      const seen = new Set();
+      fields.aliases = [];
+      for (const alias of body.aliases.map(sanitizeInput)) {
+        if (alias === '' || seen.has(alias.toLowerCase())) continue;
+        seen.add(alias.toLowerCase());
+        fields.aliases.push(alias);
+      }
+      
+      if (fields.aliases.length > MAX_PERSON_ALIASES) {
+        errors.push(`欄位 aliases 最多 ${MAX_PERSON_ALIASES} 個`);
+      }
+      if (fields.aliases.some(alias => alias.length > PERSON_ALIAS_MAX_LENGTH)) {
+        errors.push(`每個別名長度不可超過 ${PERSON_ALIAS_MAX_LENGTH} 字元`);
+      }
+    }
+  }
+  
+  return { errors, ...fields };
+}
+
+// 檢查識別欄位是否已被其他人物使用（不分大小寫；垃圾桶中的人物仍保留其帳號與別名）
+async function findIdentityConflicts(query, personId, { telegramUsername, telegramId, aliases }) {
+  const conflicts = [];
+  const describe = row => `「${row.name}」（ID ${row.id}${row.deleted_at ? '，在垃圾桶中' : ''}）`;
+  
+  if (telegramUsername) {
+    const rows = await query(
+      'SELECT id, name, deleted_at FROM persons WHERE telegram_username = ? AND id <> ?',
+      [telegramUsername, personId || 0]
+    );
+    if (rows.length > 0) {
+      conflicts.push(`Telegram 帳號 @${telegramUsername} 已被人物${describe(rows[0])}使用`);
+    }
+  }
+  
+  if (telegramId) {
+    const rows = await query(
+      'SELECT id, name, deleted_at FROM persons WHERE telegram_id = ? AND id <> ?',
+      [telegramId, personId || 0]
+    );
+    if (rows.length > 0) {
+      conflicts.push(`Telegram ID ${telegramId} 已被人物${describe(rows[0])}使用`);
+    }
+  }
+  
+  if (aliases && aliases.length > 0) {
+    const placeholders = aliases.map(() => '?').join(',');
+    const rows = await query(
+      `SELECT a.alias, p.id, p.name, p.deleted_at FROM person_aliases a JOIN persons p ON p.id = a.person_id
+        WHERE a.alias IN (${placeholders}) AND a.person_id <> ?`,
+      [...aliases, personId || 0]
+    );
+    for (const row of rows) {
+      conflicts.push(`別名「${row.alias}」已被人物${describe(row)}使用`);
+    }
+  }
+  
+  return conflicts;
+}
+
+// 取代人物的所有別名
+async function replacePersonAliases(query, personId, aliases) {
+  await query('DELETE FROM person_aliases WHERE person_id = ?', [personId]);
+  for (const alias of aliases) {
+    await query('INSERT INTO person_aliases (person_id, alias) VALUES (?, ?)', [personId, alias]);
+  }
+}
+
+// 批次載入人物別名，回傳 Map<personId, alias[]>
+async function loadPersonAliases(personIds, query = queryDatabase) {
+  const aliasesByPerson = new Map();
+  if (personIds.length === 0) {
+    return aliasesByPerson;
+  }
+  
+  const placeholders = personIds.map(() => '?').join(',');
+  const rows = await query(
+    `SELECT person_id, alias FROM person_aliases WHERE person_id IN (${placeholders}) ORDER BY id`,
+    personIds
+  );
+  for (const row of rows) {
+    if (!aliasesByPerson.has(row.person_id)) {
+      aliasesByPerson.set(row.person_id, []);
+    }
+    aliasesByPerson.get(row.person_id).push(row.alias);
+  }
+  return aliasesByPerson;
+}
+
+// 資料庫唯一索引衝突（並行請求搶先寫入時）
+function isDuplicateEntryError(error) {
+  return error && error.code === 'ER_DUP_ENTRY';
+}
+
+// 依比對方式排序：數字 ID > 完全相符 > 不分大小寫相符；帳號 > 別名 > 名稱
+const LOOKUP_MATCH_RANKS = [
+  { matchedBy: 'telegram_id', exact: true },
+  { matchedBy: 'telegram_username', exact: true },
+  { matchedBy: 'alias', exact: true },
+  { matchedBy: 'name', exact: true },
+  { matchedBy: 'telegram_username', exact: false },
+  { matchedBy: 'alias', exact: false },
+  { matchedBy: 'name', exact: false }
+];
+
+// 計算人物與查詢字串的最佳比對順位，沒有符合時回傳 -1
+function rankHandleMatch(person, aliases, handle, username) {
+  const lower = value => String(value || '').toLowerCase();
+  const checks = [
+    () => /^\d+$/.test(handle) && person.telegram_id === handle,
+    () => person.telegram_username === username,
+    () => aliases.some(alias => alias === handle || alias === username),
+    () => person.name === handle,
+    () => lower(person.telegram_username) === lower(username),
+    () => aliases.some(alias => lower(alias) === lower(handle) || lower(alias) === lower(username)),
+    () => lower(person.name) === lower(handle)
+  ];
+  
+  const index = checks.findIndex(check => check());
+  // 資料庫定序（utf8mb4_unicode_ci）比 toLowerCase 寬鬆，JS 比對不到的結果歸為最低順位
+  return index === -1 ? LOOKUP_MATCH_RANKS.length - 1 : index;
+}
+
+function formatPersonWithIdentity(person, aliases) {
+  return {
+    id: person.id,
+    name: person.name,
+    description: person.description || '',
+    gender: person.gender,
+    telegram_username: person.telegram_username || null,
+    telegram_id: person.telegram_id || null,
+    aliases: aliases || []
+  };
+}
+
+// GET /api/person/lookup?handle=@username - 以 Telegram 帳號、數字 ID、別名或名稱找人物
+app.get('/api/person/lookup', requireReadAccess('read'), async (req, res) => {
+  try {
+    const handle = String(req.query.handle || '').trim();
+    if (handle === '' || handle.length > 255) {
+      return res.status(400).json({
+        error: '缺少必要參數',
+        message: '請提供 handle 查詢參數，例如 /api/person/lookup?handle=@alice',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const username = handle.replace(/^@/, '');
+    const rows = await queryDatabase(
+      `SELECT DISTINCT p.id, p.name, p.description, p.gender, p.telegram_username, p.telegram_id
+        FROM persons p
+        LEFT JOIN person_aliases a ON a.person_id = p.id AND a.alias IN (?, ?)
+        WHERE p.deleted_at IS NULL
+          AND (p.telegram_id = ? OR p.telegram_username = ? OR p.name = ? OR a.alias IS NOT NULL)`,
+      [handle, username, handle, username, handle]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: '找不到人物',
+        message: `沒有人物符合「${handle}」`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const aliasesByPerson = await loadPersonAliases(rows.map(row => row.id));
+    const matches = rows
+      .map(row => ({ row, rank: rankHandleMatch(row, aliasesByPerson.get(row.id) || [], handle, username) }))
+      .sort((a, b) => a.rank - b.rank || a.row.id - b.row.id);
+    
+    const best = matches.filter(match => match.rank === matches[0].rank);
+    const toResult = match => ({
+      ...LOOKUP_MATCH_RANKS[match.rank],
+      person: formatPersonWithIdentity(match.row, aliasesByPerson.get(match.row.id))
+    });
+    
+    if (best.length > 1) {
+      return res.status(409).json({
+        error: '找到多個符合的人物',
+        message: `有 ${best.length} 個人物符合「${handle}」，請改用 ID 或更精確的帳號`,
+        candidates: best.map(toResult),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.json({
+      success: true,
+      handle,
+      ...toResult(matches[0]),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('查詢人物帳號錯誤:', error);
+    res.status(500).json({
+      error: '無法查詢人物',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/addNode - 新增人物
+app.post('/api/addNode', 
+  requireApiKey('write:persons'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次新增
+  validateInput({
+    required: ['name'],
+    types: { name: 'string', description: 'string', gender: 'string' },
+    maxLength: { name: 100, description: 500 }
+  }),
+  async (req, res) => {
+    try {
+      const { name, description = '', gender = 'unknown' } = req.body;
+      
+      const cleanName = sanitizeInput(name);
+      const cleanDescription = sanitizeInput(description);
+      
+      const identity = parsePersonIdentityFields(req.body);
+      if (identity.errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: identity.errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // 驗證性別參數
+      const cleanGender = VALID_GENDERS.includes(gender) ? gender : 'unknown';
+      
+      if (!VALID_GENDERS.includes(gender)) {
+        console.log(`性別參數無效: ${gender}，使用預設值 'unknown'`);
+      }
+      
+      // 檢查是否已存在相同名稱
+      const existingPersons = await queryDatabase('SELECT id FROM persons WHERE name = ? AND deleted_at IS NULL', [cleanName]);
+      
+      if (existingPersons.length > 0) {
+        return res.status(409).json({
+          error: '人物已存在',
+          message: `名稱「${cleanName}」已被使用`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const conflicts = await findIdentityConflicts(queryDatabase, null, identity);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          error: '帳號或別名已被使用',
+          message: conflicts.join('；'),
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const telegramUsername = identity.telegramUsername || null;
+      const telegramId = identity.telegramId || null;
+      const aliases = identity.aliases || [];
+      
+      const personId = await withTransaction(async (query) => {
+        const result = await query(
+          'INSERT INTO persons (name, description, gender, telegram_username, telegram_id) VALUES (?, ?, ?, ?, ?)',
+          [cleanName, cleanDescription, cleanGender, telegramUsername, telegramId]
+        );
+        await replacePersonAliases(query, result.insertId, aliases);
+        return result.insertId;
+      });
+      
+      const person = {
+        id: personId,
+        name: cleanName,
+        description: cleanDescription,
+        gender: cleanGender,
+        telegram_username: telegramUsername,
+        telegram_id: telegramId,
+        aliases
+      };
+      
+      await bumpGraphVersion();
+      console.log('新增人物成功:', { id: personId, name: cleanName, gender: cleanGender });
+      await recordAudit(req, 'person.create', { entityType: 'person', entityId: personId, after: person });
+      
+      res.json({
+        success: true,
+        ...person,
+        message: '人物新增成功',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      if (isDuplicateEntryError(error)) {
+        return res.status(409).json({
+          error: '帳號或別名已被使用',
+          message: 'Telegram 帳號、ID 或別名已被其他人物使用',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      console.error('新增人物錯誤:', error);
+      res.status(500).json({
+        error: '無法新增人物',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// PUT /api/person/:id - 更新人物（改名、修正性別或簡介）
+app.put('/api/person/:id',
+  requireApiKey('write:persons'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次更新
+  validateInput({
+    types: { name: 'string', description: 'string', gender: 'string' },
+    maxLength: { name: 100, description: 500 }
+  }),
+  async (req, res) => {
+    try {
+      const personId = validateId(req.params.id);
+      const { name, description, gender } = req.body;
+      const identity = parsePersonIdentityFields(req.body);
+      
+      if (name === undefined && description === undefined && gender === undefined &&
+          identity.telegramUsername === undefined && identity.telegramId === undefined && identity.aliases === undefined &&
+          identity.errors.length === 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: ['請至少提供 name、description、gender、telegram_username、telegram_id 或 aliases 其中一個欄位'],
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (identity.errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: identity.errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (gender !== undefined && !VALID_GENDERS.includes(gender)) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: [`欄位 gender 必須是 ${VALID_GENDERS.join('、')} 其中之一`],
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const existingRows = await queryDatabase(
+        'SELECT id, name, description, gender, telegram_username, telegram_id FROM persons WHERE id = ? AND deleted_at IS NULL',
+        [personId]
+      );
+      
+      if (existingRows.length === 0) {
+        return res.status(404).json({
+          error: '人物不存在',
+          message: `找不到 ID 為 ${personId} 的人物`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const aliasesByPerson = await loadPersonAliases([personId]);
+      const before = formatPersonWithIdentity(existingRows[0], aliasesByPerson.get(personId));
+      const after = { ...before };
+      
+      if (name !== undefined) {
+        const cleanName = sanitizeInput(name);
+        
+        if (cleanName === '') {
+          return res.status(400).json({
+            error: '輸入驗證失敗',
+            details: ['欄位 name 不可為空'],
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+        // 檢查新名稱是否已被其他人物使用
+        const duplicatePersons = await queryDatabase(
+          'SELECT id FROM persons WHERE name = ? AND id <> ? AND deleted_at IS NULL',
+          [cleanName, personId]
+        );
+        
+        if (duplicatePersons.length > 0) {
+          return res.status(409).json({
+            error: '人物已存在',
+            message: `名稱「${cleanName}」已被使用`,
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+        after.name = cleanName;
+      }
+      
+      if (description !== undefined) {
+        after.description = sanitizeInput(description);
+      }
+      
+      if (gender !== undefined) {
+        after.gender = gender;
+      }
+      
+      if (identity.telegramUsername !== undefined) {
+        after.telegram_username = identity.telegramUsername;
+      }
+      
+      if (identity.telegramId !== undefined) {
+        after.telegram_id = identity.telegramId;
+      }
+      
+      if (identity.aliases !== undefined) {
+        after.aliases = identity.aliases;
+      }
+      
+      const conflicts = await findIdentityConflicts(queryDatabase, personId, identity);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          error: '帳號或別名已被使用',
+          message: conflicts.join('；'),
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await withTransaction(async (query) => {
+        await query(
+          'UPDATE persons SET name = ?, description = ?, gender = ?, telegram_username = ?, telegram_id = ? WHERE id = ?',
+          [after.name, after.description, after.gender, after.telegram_username, after.telegram_id, personId]
+        );
+        
+        if (identity.aliases !== undefined) {
+          await replacePersonAliases(query, personId, identity.aliases);
+        }
+      });
+      
+      await bumpGraphVersion();
+      console.log('更新人物成功:', { id: personId, before, after });
+      await recordAudit(req, 'person.update', { entityType: 'person', entityId: personId, before, after });
+      
+      res.json({
+        success: true,
+        id: personId,
+        before,
+        person: after,
+        message: '人物更新成功',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      if (isDuplicateEntryError(error)) {
+        return res.status(409).json({
+          error: '帳號或別名已被使用',
+          message: 'Telegram 帳號、ID 或別名已被其他人物使用',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      console.error('更新人物錯誤:', error);
+      res.status(500).json({
+        error: '無法更新人物',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// DELETE /api/person/:id - 刪除人物（連同其關係與背景一起移到垃圾桶）
+app.delete('/api/person/:id',
+  requireApiKey('delete'),
+  rateLimit(60000, 20), // 每分鐘最多 20 次刪除
+  async (req, res) => {
+    try {
+      const personId = validateId(req.params.id);
+      
+      const removed = await withTransaction(async (query) => {
+        const personRows = await query(
+          'SELECT id, name, description, gender, telegram_username, telegram_id, created_at FROM persons WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+          [personId]
+        );
+        
+        if (personRows.length === 0) {
+          return null;
+        }
+        
+        const relations = await query(
+          'SELECT id, from_person_id, to_person_id, source FROM relations WHERE (from_person_id = ? OR to_person_id = ?) AND deleted_at IS NULL ORDER BY id',
+          [personId, personId]
+        );
+        
+        const backgroundRows = await query(
+          'SELECT birth_year, body FROM person_backgrounds WHERE person_id = ? AND deleted_at IS NULL',
+          [personId]
+        );
+        
+        // 軟刪除：關係與背景以 deleted_with_person_id 記錄隨此人物一併刪除，還原人物時一併還原
+        await query(
+          'UPDATE relations SET deleted_at = CURRENT_TIMESTAMP, deleted_with_person_id = ? WHERE (from_person_id = ? OR to_person_id = ?) AND deleted_at IS NULL',
+          [personId, personId, personId]
+        );
+        await query(
+          'UPDATE person_backgrounds SET deleted_at = CURRENT_TIMESTAMP, deleted_with_person_id = ? WHERE person_id = ? AND deleted_at IS NULL',
+          [personId, personId]
+        );
+        await query('UPDATE persons SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [personId]);
+        
+        return {
+          person: personRows[0],
+          relations: relations.map(r => ({
+            id: r.id,
+            from: r.from_person_id,
+            to: r.to_person_id,
+            source: r.source || ''
+          })),
+          background: backgroundRows.length > 0 ? {
+            birth_year: backgroundRows[0].birth_year || null,
+            body: backgroundRows[0].body || ''
+          } : null
+        };
+      });
+      
+      if (!removed) {
+        return res.status(404).json({
+          error: '人物不存在',
+          message: `找不到 ID 為 ${personId} 的人物`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await bumpGraphVersion();
+      console.log('刪除人物成功:', { id: personId, name: removed.person.name, relations: removed.relations.length });
+      await recordAudit(req, 'person.delete', { entityType: 'person', entityId: personId, before: removed });
+      
+      res.json({
+        success: true,
+        removed,
+        deletedRelations: removed.relations.length,
+        message: `人物「${removed.person.name}」已移到垃圾桶，可從管理後台還原`,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('刪除人物錯誤:', error);
+      res.status(500).json({
+        error: '無法刪除人物',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// 合併兩段文字（去除空白與重複內容），用於合併關係來源與背景描述
+function mergeText(first, second, separator = '；') {
+  const parts = [first, second]
+    .map(text => (text || '').trim())
+    .filter(text => text !== '');
+  
+  if (parts.length === 2 && parts[0] === parts[1]) {
+    return parts[0];
+  }
+  
+  return parts.join(separator);
+}
+
+// POST /api/persons/merge - 將重複人物合併到保留的人物
+app.post('/api/persons/merge',
+  requireApiKey('write:persons', 'write:relations'), // 合併會移動關係
+  rateLimit(60000, 20), // 每分鐘最多 20 次合併
+  validateInput({
+    required: ['keep', 'remove'],
+    types: { keep: 'string', remove: 'string', dryRun: 'boolean' },
+    numberRange: { keep: { min: 1, max: 2147483647 }, remove: { min: 1, max: 2147483647 } }
+  }),
+  async (req, res) => {
+    try {
+      const keepId = validateId(req.body.keep);
+      const removeId = validateId(req.body.remove);
+      const dryRun = req.body.dryRun === true;
+      
+      if (keepId === removeId) {
+        return res.status(400).json({
+          error: '無效的操作',
+          message: '不能將人物合併到自己',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const result = await withTransaction(async (query) => {
+        const personRows = await query(
+          'SELECT id, name, description, gender, telegram_username, telegram_id FROM persons WHERE id IN (?, ?) AND deleted_at IS NULL FOR UPDATE',
+          [keepId, removeId]
+        );
+        
+        const keepPerson = personRows.find(p => p.id === keepId);
+        const removePerson = personRows.find(p => p.id === removeId);
+        
+        if (!keepPerson || !removePerson) {
+          return { missingId: keepPerson ? removeId : keepId };
+        }
+        
+        const relations = await query(
+          `SELECT id, from_person_id, to_person_id, type_id, source FROM relations
+            WHERE (from_person_id IN (?, ?) OR to_person_id IN (?, ?)) AND deleted_at IS NULL ORDER BY id FOR UPDATE`,
+          [keepId, removeId, keepId, removeId]
+        );
+        
+        // 保留人物目前的關係，以對方 ID 為 key
+        const keepEdges = new Map();
+        for (const rel of relations) {
+          if (rel.from_person_id === keepId && rel.to_person_id !== removeId) {
+            keepEdges.set(rel.to_person_id, { id: rel.id, typeId: rel.type_id, source: rel.source || '' });
+          } else if (rel.to_person_id === keepId && rel.from_person_id !== removeId) {
+            keepEdges.set(rel.from_person_id, { id: rel.id, typeId: rel.type_id, source: rel.source || '' });
+          }
+        }
+        
+        const plan = { moved: [], merged: [], dropped: [] };
+        
+        for (const rel of relations) {
+          const involvesRemove = rel.from_person_id === removeId || rel.to_person_id === removeId;
+          if (!involvesRemove) continue;
+          
+          const otherId = rel.from_person_id === removeId ? rel.to_person_id : rel.from_person_id;
+          
+          if (otherId === keepId) {
+            // 兩人之間的關係合併後會變成自己連自己，直接移除
+            plan.dropped.push({ id: rel.id, source: rel.source || '' });
+            continue;
+          }
+          
+          const existing = keepEdges.get(otherId);
+          
+          if (existing) {
+            const mergedSource = mergeText(existing.source, rel.source);
+            // 保留人物的關係類型優先，沒有時沿用被合併關係的類型
+            const mergedTypeId = existing.typeId || rel.type_id || null;
+            plan.merged.push({
+              id: existing.id,
+              removedId: rel.id,
+              with: otherId,
+              typeId: mergedTypeId,
+              source: mergedSource
+            });
+            existing.source = mergedSource;
+            existing.typeId = mergedTypeId;
+          } else {
+            plan.moved.push({
+              id: rel.id,
+              from: rel.from_person_id === removeId ? keepId : rel.from_person_id,
+              to: rel.to_person_id === removeId ? keepId : rel.to_person_id,
+              source: rel.source || ''
+            });
+            keepEdges.set(otherId, { id: rel.id, typeId: rel.type_id, source: rel.source || '' });
+          }
+        }
+        
+        const backgroundRows = await query(
+          'SELECT person_id, birth_year, body, deleted_at FROM person_backgrounds WHERE person_id IN (?, ?) FOR UPDATE',
+          [keepId, removeId]
+        );
+        
+        // 垃圾桶中的背景不參與合併，但保留人物的資料列仍存在時要用 UPDATE 覆寫
+        const keepBackgroundRow = backgroundRows.find(b => b.person_id === keepId) || null;
+        const liveBackgrounds = backgroundRows.filter(b => b.deleted_at === null);
+        const keepBackground = liveBackgrounds.find(b => b.person_id === keepId) || null;
+        const removeBackground = liveBackgrounds.find(b => b.person_id === removeId) || null;
+        
+        let background = null;
+        if (keepBackground || removeBackground) {
+          background = {
+            birth_year: (keepBackground && keepBackground.birth_year) || (removeBackground && removeBackground.birth_year) || null,
+            body: mergeText(keepBackground && keepBackground.body, removeBackground && removeBackground.body, '\n\n')
+          };
+        }
+        
+        // 被合併人物的名稱與別名都成為保留人物的別名，Telegram 帳號已被佔用時也改為別名
+        const aliasesByPerson = await loadPersonAliases([keepId, removeId], query);
+        const keepAliases = aliasesByPerson.get(keepId) || [];
+        const removeAliases = aliasesByPerson.get(removeId) || [];
+        const addedAliases = [];
+        const knownHandles = new Set([keepPerson.name, ...keepAliases].map(alias => alias.toLowerCase()));
+        const candidateAliases = [removePerson.name, ...removeAliases];
+        if (keepPerson.telegram_username && removePerson.telegram_username) {
+          knownHandles.add(keepPerson.telegram_username.toLowerCase());
+          candidateAliases.push(removePerson.telegram_username);
+        }
+        // 已是其他人物別名的名稱不轉移（別名全域唯一）
+        const takenAliases = await query(
+          `SELECT alias FROM person_aliases WHERE alias IN (${candidateAliases.map(() => '?').join(',')}) AND person_id NOT IN (?, ?)`,
+          [...candidateAliases, keepId, removeId]
+        );
+        for (const row of takenAliases) {
+          knownHandles.add(row.alias.toLowerCase());
+        }
+        for (const alias of candidateAliases) {
+          if (knownHandles.has(alias.toLowerCase())) continue;
+          knownHandles.add(alias.toLowerCase());
+          addedAliases.push(alias);
+        }
+        
+        // 保留人物的空白欄位以被合併人物的資料補上
+        const mergedPerson = {
+          id: keepPerson.id,
+          name: keepPerson.name,
+          description: keepPerson.description || removePerson.description || '',
+          gender: keepPerson.gender !== 'unknown' ? keepPerson.gender : removePerson.gender,
+          telegram_username: keepPerson.telegram_username || removePerson.telegram_username || null,
+          telegram_id: keepPerson.telegram_id || removePerson.telegram_id || null,
+          aliases: [...keepAliases, ...addedAliases]
+        };
+        
+        if (!dryRun) {
+          for (const item of plan.merged) {
+            await query('UPDATE relations SET source = ?, type_id = ? WHERE id = ?', [item.source, item.typeId, item.id]);
+            // 被合併關係的歷程複製到保留的關係上，原關係連同歷程移到垃圾桶（還原被合併的人物時一併還原）
+            await query(
+              `INSERT INTO relation_entries (relation_id, action, body, actor_type, actor_id, created_at)
+                SELECT ?, action, body, actor_type, actor_id, created_at FROM relation_entries WHERE relation_id = ? ORDER BY id`,
+              [item.id, item.removedId]
+            );
+            await query('UPDATE relations SET deleted_at = CURRENT_TIMESTAMP, deleted_with_person_id = ? WHERE id = ?', [removeId, item.removedId]);
+          }
+          
+          for (const item of plan.moved) {
+            await query(
+              'UPDATE relations SET from_person_id = ?, to_person_id = ? WHERE id = ?',
+              [item.from, item.to, item.id]
+            );
+          }
+          
+          // 兩人之間的關係與被合併的人物移到垃圾桶（還原被合併的人物時一併還原）
+          for (const item of plan.dropped) {
+            await query('UPDATE relations SET deleted_at = CURRENT_TIMESTAMP, deleted_with_person_id = ? WHERE id = ?', [removeId, item.id]);
+          }
+          
+          // 被合併人物的背景移到垃圾桶，內容已併入保留人物
+          if (removeBackground) {
+            await query(
+              'UPDATE person_backgrounds SET deleted_at = CURRENT_TIMESTAMP, deleted_with_person_id = ? WHERE person_id = ?',
+              [removeId, removeId]
+            );
+          }
+          if (background) {
+            if (keepBackgroundRow) {
+              await query(
+                'UPDATE person_backgrounds SET birth_year = ?, body = ?, deleted_at = NULL, deleted_with_person_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE person_id = ?',
+                [background.birth_year, background.body, keepId]
+              );
+            } else {
+              await query(
+                'INSERT INTO person_backgrounds (person_id, birth_year, body) VALUES (?, ?, ?)',
+                [keepId, background.birth_year, background.body]
+              );
+            }
+          }
+          
+          // 帳號與別名有唯一限制，先從被合併人物身上移除再寫入保留人物
+          await query('UPDATE persons SET telegram_username = NULL, telegram_id = NULL WHERE id = ?', [removeId]);
+          await query('DELETE FROM person_aliases WHERE person_id = ?', [removeId]);
+          for (const alias of addedAliases) {
+            await query('INSERT INTO person_aliases (person_id, alias) VALUES (?, ?)', [keepId, alias]);
+          }
+          
+          await query(
+            'UPDATE persons SET description = ?, gender = ?, telegram_username = ?, telegram_id = ? WHERE id = ?',
+            [mergedPerson.description, mergedPerson.gender, mergedPerson.telegram_username, mergedPerson.telegram_id, keepId]
+          );
+          await query('UPDATE persons SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [removeId]);
+        }
+        
+        return {
+          keep: mergedPerson,
+          removed: removePerson,
+          relations: plan,
+          background,
+          original: {
+            keep: { ...keepPerson, aliases: keepAliases },
+            remove: { ...removePerson, aliases: removeAliases },
+            backgrounds: { keep: keepBackground, remove: removeBackground }
+          }
+        };
+      });
+      
+      if (result.missingId) {
+        return res.status(404).json({
+          error: '人物不存在',
+          message: `找不到 ID 為 ${result.missingId} 的人物`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const { original, ...mergeResult } = result;
+      
+      if (!dryRun) {
+        await bumpGraphVersion();
+        await recordAudit(req, 'person.merge', {
+          entityType: 'person',
+          entityId: keepId,
+          before: original,
+          after: { keep: mergeResult.keep, relations: mergeResult.relations, background: mergeResult.background }
+        });
+      }
+      
+      console.log(`${dryRun ? '預覽' : '執行'}人物合併:`, {
+        keep: keepId,
+        remove: removeId,
+        moved: result.relations.moved.length,
+        merged: result.relations.merged.length,
+        dropped: result.relations.dropped.length
+      });
+      
+      res.json({
+        success: true,
+        dryRun,
+        ...mergeResult,
+        message: dryRun
+          ? `預覽：「${result.removed.name}」將合併至「${result.keep.name}」`
+          : `「${result.removed.name}」已合併至「${result.keep.name}」`,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('合併人物錯誤:', error);
+      res.status(500).json({
+        error: '無法合併人物',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// ==================== 關係類型 ====================
+
+// 關係類型代碼格式：小寫英數字，以 - 分隔（例如 met-at-event）
+const RELATION_TYPE_SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const RELATION_LINE_STYLES = ['solid', 'dashed', 'dotted'];
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// 解析請求中的關係類型：undefined 表示不變更、null 表示清除，找不到類型時回傳 error
+async function resolveRelationType(type) {
+  if (type === undefined) {
+    return { typeId: undefined };
+  }
+  
+  if (type === '') {
+    return { typeId: null };
+  }
+  
+  const rows = await queryDatabase('SELECT id FROM relation_types WHERE slug = ?', [type]);
+  
+  if (rows.length === 0) {
+    return { error: `未知的關係類型: ${type}，請先透過 /api/relation-types 新增` };
+  }
+  
+  return { typeId: rows[0].id };
+}
+
+// 檢查關係類型欄位格式
+function validateRelationTypeFields({ slug, color, lineStyle }) {
+  const errors = [];
+  
+  if (slug !== undefined && !RELATION_TYPE_SLUG_PATTERN.test(slug)) {
+    errors.push('欄位 slug 只能包含小寫英文、數字與 -（例如 met-at-event）');
+  }
+  
+  if (color !== undefined && !HEX_COLOR_PATTERN.test(color)) {
+    errors.push('欄位 color 必須是 #RRGGBB 格式');
+  }
+  
+  if (lineStyle !== undefined && !RELATION_LINE_STYLES.includes(lineStyle)) {
+    errors.push(`欄位 lineStyle 必須是 ${RELATION_LINE_STYLES.join('、')} 其中之一`);
+  }
+  
+  return errors;
+}
+
+// 轉換關係類型資料列為 API 格式
+function formatRelationType(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    label: row.label,
+    color: row.color,
+    lineStyle: row.line_style
+  };
+}
+
+// GET /api/relation-types - 取得所有關係類型
+app.get('/api/relation-types', requireReadAccess('read'), async (req, res) => {
+  try {
+    const rows = await queryDatabase(
+      `SELECT rt.id, rt.slug, rt.label, rt.color, rt.line_style, COUNT(r.id) AS relation_count
+        FROM relation_types rt LEFT JOIN relations r ON r.type_id = rt.id AND r.deleted_at IS NULL
+        GROUP BY rt.id ORDER BY rt.id`
+    );
+    
+    res.json({
+      success: true,
+      types: rows.map(row => ({ ...formatRelationType(row), relationCount: row.relation_count })),
+      count: rows.length,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('取得關係類型錯誤:', error);
+    res.status(500).json({
+      error: '無法取得關係類型',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/relation-types - 新增關係類型
+app.post('/api/relation-types',
+  requireApiKey('write:relations'),
+  rateLimit(60000, 20), // 每分鐘最多 20 次新增
+  validateInput({
+    required: ['slug', 'label'],
+    types: { slug: 'string', label: 'string', color: 'string', lineStyle: 'string' },
+    maxLength: { slug: 50, label: 100 }
+  }),
+  async (req, res) => {
+    try {
+      const { slug, label, color = '#808080', lineStyle = 'solid' } = req.body;
+      const cleanLabel = sanitizeInput(label);
+      
+      const errors = validateRelationTypeFields({ slug, color, lineStyle });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const existing = await queryDatabase('SELECT id FROM relation_types WHERE slug = ?', [slug]);
+      if (existing.length > 0) {
+        return res.status(409).json({
+          error: '關係類型已存在',
+          message: `代碼「${slug}」已被使用`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const result = await queryDatabase(
+        'INSERT INTO relation_types (slug, label, color, line_style) VALUES (?, ?, ?, ?)',
+        [slug, cleanLabel, color.toUpperCase(), lineStyle]
+      );
+      
+      const created = formatRelationType({ id: result.insertId, slug, label: cleanLabel, color: color.toUpperCase(), line_style: lineStyle });
+      console.log('新增關係類型成功:', { id: result.insertId, slug });
+      await recordAudit(req, 'relation_type.create', { entityType: 'relation_type', entityId: result.insertId, after: created });
+      
+      res.json({
+        success: true,
+        type: created,
+        message: '關係類型新增成功',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('新增關係類型錯誤:', error);
+      res.status(500).json({
+        error: '無法新增關係類型',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// PUT /api/relation-types/:id - 更新關係類型
+app.put('/api/relation-types/:id',
+  requireApiKey('write:relations'),
+  rateLimit(60000, 20), // 每分鐘最多 20 次更新
+  validateInput({
+    types: { slug: 'string', label: 'string', color: 'string', lineStyle: 'string' },
+    maxLength: { slug: 50, label: 100 }
+  }),
+  async (req, res) => {
+    try {
+      const typeId = validateId(req.params.id);
+      const { slug, label, color, lineStyle } = req.body;
+      
+      const errors = validateRelationTypeFields({ slug, color, lineStyle });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const rows = await queryDatabase('SELECT id, slug, label, color, line_style FROM relation_types WHERE id = ?', [typeId]);
+      if (rows.length === 0) {
+        return res.status(404).json({
+          error: '關係類型不存在',
+          message: `找不到 ID 為 ${typeId} 的關係類型`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (slug !== undefined && slug !== rows[0].slug) {
+        const duplicate = await queryDatabase('SELECT id FROM relation_types WHERE slug = ? AND id <> ?', [slug, typeId]);
+        if (duplicate.length > 0) {
+          return res.status(409).json({
+            error: '關係類型已存在',
+            message: `代碼「${slug}」已被使用`,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+      
+      const updated = {
+        id: typeId,
+        slug: slug !== undefined ? slug : rows[0].slug,
+        label: label !== undefined ? sanitizeInput(label) : rows[0].label,
+        color: color !== undefined ? color.toUpperCase() : rows[0].color,
+        line_style: lineStyle !== undefined ? lineStyle : rows[0].line_style
+      };
+      
+      await queryDatabase(
+        'UPDATE relation_types SET slug = ?, label = ?, color = ?, line_style = ? WHERE id = ?',
+        [updated.slug, updated.label, updated.color, updated.line_style, typeId]
+      );
+      
+      // 顏色與線條樣式會影響關係圖
+      await bumpGraphVersion();
+      console.log('更新關係類型成功:', { id: typeId, slug: updated.slug });
+      await recordAudit(req, 'relation_type.update', {
+        entityType: 'relation_type',
+        entityId: typeId,
+        before: formatRelationType(rows[0]),
+        after: formatRelationType(updated)
+      });
+      
+      res.json({
+        success: true,
+        type: formatRelationType(updated),
+        message: '關係類型更新成功',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('更新關係類型錯誤:', error);
+      res.status(500).json({
+        error: '無法更新關係類型',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// DELETE /api/relation-types/:id - 刪除關係類型（使用此類型的關係會變成未分類）
+app.delete('/api/relation-types/:id',
+  requireApiKey('delete'),
+  rateLimit(60000, 20), // 每分鐘最多 20 次刪除
+  async (req, res) => {
+    try {
+      const typeId = validateId(req.params.id);
+      
+      const removed = await withTransaction(async (query) => {
+        const rows = await query('SELECT id, slug, label, color, line_style FROM relation_types WHERE id = ? FOR UPDATE', [typeId]);
+        if (rows.length === 0) {
+          return null;
+        }
+        
+        const cleared = await query('UPDATE relations SET type_id = NULL WHERE type_id = ?', [typeId]);
+        await query('DELETE FROM relation_types WHERE id = ?', [typeId]);
+        
+        return { type: rows[0], clearedRelations: cleared.affectedRows };
+      });
+      
+      if (!removed) {
+        return res.status(404).json({
+          error: '關係類型不存在',
+          message: `找不到 ID 為 ${typeId} 的關係類型`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await bumpGraphVersion();
+      console.log('刪除關係類型成功:', { id: typeId, slug: removed.type.slug, clearedRelations: removed.clearedRelations });
+      await recordAudit(req, 'relation_type.delete', {
+        entityType: 'relation_type',
+        entityId: typeId,
+        before: { ...formatRelationType(removed.type), clearedRelations: removed.clearedRelations }
+      });
+      
+      res.json({
+        success: true,
+        removed: formatRelationType(removed.type),
+        clearedRelations: removed.clearedRelations,
+        message: '關係類型刪除成功',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('刪除關係類型錯誤:', error);
+      res.status(500).json({
+        error: '無法刪除關係類型',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// ==================== 關係歷程 ====================
+
+// 新增一筆關係歷程（只新增，不修改既有記錄）
+function appendRelationEntry(query, relationId, action, body, actor) {
+  return query(
+    'INSERT INTO relation_entries (relation_id, action, body, actor_type, actor_id) VALUES (?, ?, ?, ?, ?)',
+    [relationId, action, body, actor.type, actor.id]
+  );
+}
+
+function formatRelationEntry(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    body: row.body || '',
+    actor: { type: row.actor_type, id: row.actor_id },
+    createdAt: row.created_at
+  };
+}
+
+// 批次取得多條關係的歷程（依時間排序），回傳 relationId → entries
+async function loadRelationHistory(relationIds) {
+  const history = new Map();
+  if (relationIds.length === 0) {
+    return history;
+  }
+  
+  const placeholders = relationIds.map(() => '?').join(',');
+  const rows = await queryDatabase(
+    `SELECT id, relation_id, action, body, actor_type, actor_id, created_at
+      FROM relation_entries WHERE relation_id IN (${placeholders}) ORDER BY created_at, id`,
+    relationIds
+  );
+  
+  for (const row of rows) {
+    if (!history.has(row.relation_id)) {
+      history.set(row.relation_id, []);
+    }
+    history.get(row.relation_id).push(formatRelationEntry(row));
+  }
+  
+  return history;
+}
+
+// 將新內容附加到關係摘要；新內容已包含在摘要中時不重複附加
+function appendRelationSource(current, addition) {
+  const existing = (current || '').trim();
+  if (addition && existing.includes(addition)) {
+    return existing;
+  }
+  return mergeText(existing, addition);
+}
+
+// POST /api/addEdge - 新增關係，或在既有關係上附加一筆紀錄 (Upsert)
+app.post('/api/addEdge', 
+  requireApiKey('write:relations'),
+  rateLimit(60000, 50), // 每分鐘最多 50 次操作
+  validateInput({
+    required: ['from', 'to'],
+    types: { from: 'string', to: 'string', source: 'string', type: 'string' },
+    numberRange: { from: { min: 1, max: 2147483647 }, to: { min: 1, max: 2147483647 } },
+    maxLength: { source: 500, type: 50 }
+  }),
+  async (req, res) => {
+    try {
+      const { from, to, source = '', type } = req.body;
+      
+      const fromId = validateId(from);
+      const toId = validateId(to);
+      const cleanSource = sanitizeInput(source);
+      
+      if (fromId === toId) {
+        return res.status(400).json({
+          error: '無效的關係',
+          message: '不能建立自己與自己的關係',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const { typeId, error: typeError } = await resolveRelationType(type);
+      if (typeError) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: [typeError],
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // 檢查人物是否存在
+      const [fromExists, toExists] = await Promise.all([
+        queryDatabase('SELECT id FROM persons WHERE id = ? AND deleted_at IS NULL', [fromId]),
+        queryDatabase('SELECT id FROM persons WHERE id = ? AND deleted_at IS NULL', [toId])
+      ]);
+      
+      if (fromExists.length === 0) {
+        return res.status(404).json({
+          error: '人物不存在',
+          message: `找不到 ID 為 ${fromId} 的人物`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (toExists.length === 0) {
+        return res.status(404).json({
+          error: '人物不存在',
+          message: `找不到 ID 為 ${toId} 的人物`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const actor = getRequestActor(req);
+      
+      const { relationId, action, relationType, summary, before } = await withTransaction(async (query) => {
+        // 檢查關係是否已存在（雙向檢查）
+        const existingRelations = await query(
+          `SELECT r.id, r.source, rt.slug AS type FROM relations r LEFT JOIN relation_types rt ON rt.id = r.type_id
+            WHERE ((r.from_person_id = ? AND r.to_person_id = ?) OR (r.from_person_id = ? AND r.to_person_id = ?))
+              AND r.deleted_at IS NULL
+            FOR UPDATE`,
+          [fromId, toId, toId, fromId]
+        );
+        
+        if (existingRelations.length > 0) {
+          // 關係已存在 → 將新內容附加到歷程，未提供 type 時保留原本的類型
+          const existingRelation = existingRelations[0];
+          const mergedSource = appendRelationSource(existingRelation.source, cleanSource);
+          
+          if (typeId !== undefined) {
+            await query('UPDATE relations SET source = ?, type_id = ? WHERE id = ?', [mergedSource, typeId, existingRelation.id]);
+          } else {
+            await query('UPDATE relations SET source = ? WHERE id = ?', [mergedSource, existingRelation.id]);
+          }
+          
+          if (cleanSource) {
+            await appendRelationEntry(query, existingRelation.id, 'appended', cleanSource, actor);
+          }
+          
+          return {
+            relationId: existingRelation.id,
+            action: 'updated',
+            relationType: typeId !== undefined ? (type || null) : (existingRelation.type || null),
+            summary: mergedSource,
+            before: { id: existingRelation.id, type: existingRelation.type || null, source: existingRelation.source || '' }
+          };
+        }
+        
+        // 關係不存在 → 新增
+        const result = await query(
+          'INSERT INTO relations (from_person_id, to_person_id, type_id, source) VALUES (?, ?, ?, ?)', 
+          [fromId, toId, typeId || null, cleanSource]
+        );
+        await appendRelationEntry(query, result.insertId, 'created', cleanSource, actor);
+        
+        return { relationId: result.insertId, action: 'created', relationType: type || null, summary: cleanSource, before: null };
+      });
+      
+      await bumpGraphVersion();
+      console.log(`${action === 'created' ? '新增' : '更新'}關係成功:`, { id: relationId, from: fromId, to: toId, type: relationType, entry: cleanSource, actor });
+      await recordAudit(req, action === 'created' ? 'relation.create' : 'relation.append', {
+        entityType: 'relation',
+        entityId: relationId,
+        before,
+        after: { id: relationId, from: fromId, to: toId, type: relationType, source: summary, entry: cleanSource }
+      });
+      
+      res.json({
+        success: true,
+        id: relationId,
+        from: fromId,
+        to: toId,
+        type: relationType,
+        source: summary,
+        entry: cleanSource,
+        action: action,
+        message: action === 'created' ? '關係新增成功' : '關係更新成功',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('新增/更新關係錯誤:', error);
+      res.status(500).json({
+        error: '無法處理關係',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// PUT /api/updateEdge - 更新關係（更新 source 與類型）- 管理後台專用，editor 以上
+app.put('/api/updateEdge',
+  requireAdminSession, // 使用 Session 驗證，不是 API Key
+  requireAdminRole('editor'),
+  rateLimit(60000, 50), // 每分鐘最多 50 次更新
+  validateInput({
+    required: ['from', 'to'],
+    types: { from: 'string', to: 'string', source: 'string', type: 'string' },
+    numberRange: { from: { min: 1, max: 2147483647 }, to: { min: 1, max: 2147483647 } },
+    maxLength: { source: 500, type: 50 }
+  }),
+  async (req, res) => {
+    try {
+      const { from, to, source = '', type } = req.body;
+      
+      const fromId = validateId(from);
+      const toId = validateId(to);
+      const cleanSource = sanitizeInput(source);
+      
+      if (fromId === toId) {
+        return res.status(400).json({
+          error: '無效的操作',
+          message: '不能更新自己與自己的關係',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const { typeId, error: typeError } = await resolveRelationType(type);
+      if (typeError) {
+        return res.status(400).json({
+          error: '輸入驗證失敗',
+          details: [typeError],
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const actor = getRequestActor(req);
+      
+      // 更新關係的 source 與類型（雙向查詢，未提供 type 時保留原本的類型），並記錄一筆修改歷程
+      const result = await withTransaction(async (query) => {
+        const relations = await query(
+          `SELECT r.id, r.source, rt.slug AS type FROM relations r LEFT JOIN relation_types rt ON rt.id = r.type_id
+            WHERE ((r.from_person_id = ? AND r.to_person_id = ?) OR (r.from_person_id = ? AND r.to_person_id = ?))
+              AND r.deleted_at IS NULL
+            FOR UPDATE`,
+          [fromId, toId, toId, fromId]
+        );
+        
+        for (const relation of relations) {
+          if (typeId !== undefined) {
+            await query('UPDATE relations SET source = ?, type_id = ? WHERE id = ?', [cleanSource, typeId, relation.id]);
+          } else {
+            await query('UPDATE relations SET source = ? WHERE id = ?', [cleanSource, relation.id]);
+          }
+          await appendRelationEntry(query, relation.id, 'edited', cleanSource, actor);
+        }
+        
+        return { affectedRows: relations.length, before: relations };
+      });
+      
+      if (result.affectedRows === 0) {
+        return res.status(404).json({
+          error: '找不到指定的關係',
+          message: `人物 ${fromId} 和 ${toId} 之間沒有關係`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await bumpGraphVersion();
+      console.log('更新關係成功:', { from: fromId, to: toId, type, source: cleanSource });
+      await recordAudit(req, 'relation.update', {
+        entityType: 'relation',
+        entityId: result.before[0].id,
+        before: result.before.map(r => ({ id: r.id, type: r.type || null, source: r.source || '' })),
+        after: result.before.map(r => ({
+          id: r.id,
+          type: type !== undefined ? (type || null) : (r.type || null),
+          source: cleanSource
+        }))
+      });
+      
+      res.json({
+        success: true,
+        updatedRows: result.affectedRows,
+        from: fromId,
+        to: toId,
+        ...(type !== undefined ? { type: type || null } : {}),
+        source: cleanSource,
+        message: '關係更新成功',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('更新關係錯誤:', error);
+      res.status(500).json({
+        error: '無法更新關係',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// DELETE /api/deleteEdge - 刪除關係
+app.delete('/api/deleteEdge', 
+  requireApiKey('delete'),
+  rateLimit(60000, 20), // 每分鐘最多 20 次刪除
+  validateInput({
+    required: ['from', 'to'],
+    types: { from: 'string', to: 'string' },
+    numberRange: { from: { min: 1, max: 2147483647 }, to: { min: 1, max: 2147483647 } }
+  }),
+  async (req, res) => {
+    try {
+      const { from, to } = req.body;
+      
+      const fromId = validateId(from);
+      const toId = validateId(to);
+      
+      if (fromId === toId) {
+        return res.status(400).json({ 
+          error: '無效的操作',
+          message: '不能刪除自己與自己的關係',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // 透過人物 ID 組合刪除（雙向查詢），只標記 deleted_at，可從管理後台的垃圾桶還原
+      const pairCondition = '((from_person_id = ? AND to_person_id = ?) OR (from_person_id = ? AND to_person_id = ?)) AND deleted_at IS NULL';
+      const { result, removed } = await withTransaction(async (query) => {
+        const removed = await query(
+          `SELECT id, from_person_id, to_person_id, type_id, source FROM relations WHERE ${pairCondition} FOR UPDATE`,
+          [fromId, toId, toId, fromId]
+        );
+        const result = await query(`UPDATE relations SET deleted_at = CURRENT_TIMESTAMP WHERE ${pairCondition}`, [fromId, toId, toId, fromId]);
+        return { result, removed };
+      });
+      
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ 
+          error: '找不到指定的關係',
+          message: `人物 ${fromId} 和 ${toId} 之間沒有關係`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await bumpGraphVersion();
+      await recordAudit(req, 'relation.delete', {
+        entityType: 'relation',
+        entityId: removed[0].id,
+        before: removed.map(r => ({ id: r.id, from: r.from_person_id, to: r.to_person_id, typeId: r.type_id, source: r.source || '' }))
+      });
+      
+      res.json({
+        success: true,
+        deletedRows: result.affectedRows,
+        message: '關係已移到垃圾桶，可從管理後台還原',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('刪除關係錯誤:', error);
+      res.status(500).json({ 
+        error: '無法刪除關係',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// ==================== 批次匯入 ====================
+
+const IMPORT_SECTIONS = ['persons', 'relations', 'backgrounds'];
+const IMPORT_MAX_ROWS = 5000;
+
+// 解析 CSV（RFC 4180：雙引號包住的欄位可含逗號、換行，"" 代表一個雙引號），第一列為欄位名稱
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (inQuotes) {
+    throw new Error('CSV 格式錯誤：雙引號沒有成對');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  const [header = [], ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  const columns = header.map(column => column.trim().toLowerCase());
+  return records.map(record => {
+    const item = {};
+    columns.forEach((column, index) => {
+      if (column !== '' && record[index] !== undefined && record[index].trim() !== '') {
+        item[column] = record[index].trim();
+      }
+    });
+    return item;
+  });
+}
+
+// 將匯入區段（物件陣列或 CSV 字串）轉成物件陣列
+function parseImportSection(value, section) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  
+  if (typeof value === 'string') {
+    try {
+      return parseCsv(value);
+    } catch (error) {
+      throw new Error(`${section}：${error.message}`);
+    }
+  }
+  
+  if (!Array.isArray(value) || value.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    throw new Error(`${section} 必須是物件陣列或 CSV 字串`);
+  }
+  return value;
+}
+
+// 匯入過程中的人物索引：名稱、Telegram 帳號、ID 與別名（皆不分大小寫）對應到人物
+async function buildImportPersonIndex(query) {
+  const index = {
+    byId: new Map(),
+    byName: new Map(),
+    byUsername: new Map(),
+    byTelegramId: new Map(),
+    byAlias: new Map(),
+    // 垃圾桶中的人物仍佔用帳號與別名
+    trashedHandles: new Set()
+  };
+  
+  const persons = await query('SELECT id, name, description, gender, telegram_username, telegram_id, deleted_at FROM persons');
+  const aliases = await query('SELECT a.person_id, a.alias, p.deleted_at FROM person_aliases a JOIN persons p ON p.id = a.person_id');
+  
+  for (const person of persons) {
+    if (person.deleted_at) {
+      if (person.telegram_username) index.trashedHandles.add(`username:${person.telegram_username.toLowerCase()}`);
+      if (person.telegram_id) index.trashedHandles.add(`id:${person.telegram_id}`);
+      continue;
+    }
+    addToImportIndex(index, { ...person, aliases: [] });
+  }
+  
+  for (const row of aliases) {
+    if (row.deleted_at) {
+      index.trashedHandles.add(`alias:${row.alias.toLowerCase()}`);
+    } else {
+      const person = index.byId.get(row.person_id);
+      person.aliases.push(row.alias);
+      index.byAlias.set(row.alias.toLowerCase(), person);
+    }
+  }
+  
+  return index;
+}
+
+function addToImportIndex(index, person) {
+  index.byId.set(person.id, person);
+  index.byName.set(person.name.toLowerCase(), person);
+  if (person.telegram_username) index.byUsername.set(person.telegram_username.toLowerCase(), person);
+  if (person.telegram_id) index.byTelegramId.set(person.telegram_id, person);
+  for (const alias of person.aliases) {
+    index.byAlias.set(alias.toLowerCase(), person);
+  }
+}
+
+// 以名稱或帳號找人物：@username、#ID、Telegram 數字 ID、名稱或別名
+function resolveImportPerson(index, reference) {
+  const value = String(reference === undefined || reference === null ? '' : reference).trim();
+  const lower = value.toLowerCase();
+  
+  if (value.startsWith('@')) {
+    return index.byUsername.get(lower.slice(1)) || index.byAlias.get(lower) || index.byAlias.get(lower.slice(1)) || null;
+  }
+  if (/^#\d+$/.test(value)) {
+    return index.byId.get(parseInt(value.slice(1), 10)) || null;
+  }
+  return index.byName.get(lower) || index.byAlias.get(lower) || index.byUsername.get(lower) ||
+    (TELEGRAM_USER_ID_PATTERN.test(value) ? index.byTelegramId.get(value) : null) || null;
+}
+
+// 檢查帳號與別名是否被其他人物（含垃圾桶中的人物）使用，回傳錯誤訊息陣列
+function findImportIdentityConflicts(index, person, { telegramUsername, telegramId, aliases }) {
+  const conflicts = [];
+  const owner = (map, key) => {
+    const found = map.get(key);
+    return found && found !== person ? found : null;
+  };
+  
+  if (telegramUsername) {
+    const key = telegramUsername.toLowerCase();
+    const other = owner(index.byUsername, key);
+    if (other) conflicts.push(`Telegram 帳號 @${telegramUsername} 已被「${other.name}」使用`);
+    if (index.trashedHandles.has(`username:${key}`)) conflicts.push(`Telegram 帳號 @${telegramUsername} 已被垃圾桶中的人物使用`);
+  }
+  if (telegramId) {
+    const other = owner(index.byTelegramId, telegramId);
+    if (other) conflicts.push(`Telegram ID ${telegramId} 已被「${other.name}」使用`);
+    if (index.trashedHandles.has(`id:${telegramId}`)) conflicts.push(`Telegram ID ${telegramId} 已被垃圾桶中的人物使用`);
+  }
+  for (const alias of aliases || []) {
+    const key = alias.toLowerCase();
+    const other = owner(index.byAlias, key);
+    if (other) conflicts.push(`別名「${alias}」已被「${other.name}」使用`);
+    if (index.trashedHandles.has(`alias:${key}`)) conflicts.push(`別名「${alias}」已被垃圾桶中的人物使用`);
+  }
+  
+  return conflicts;
+}
+
+// 匯入一列人物：依 Telegram ID、帳號或名稱找既有人物，找到時補上或更新有提供的欄位（不會改名），否則新增
+async function importPersonRow(query, index, row) {
+  const name = sanitizeInput(String(row.name || ''));
+  if (name === '') return { status: 'error', errors: ['缺少 name'] };
+  if (name.length > 100) return { status: 'error', errors: ['name 長度不可超過 100 字元'] };
+  
+  const description = row.description === undefined ? undefined : sanitizeInput(String(row.description));
+  if (description !== undefined && description.length > 500) {
+    return { status: 'error', errors: ['description 長度不可超過 500 字元'] };
+  }
+  if (row.gender !== undefined && !VALID_GENDERS.includes(row.gender)) {
+    return { status: 'error', errors: [`gender 必須是 ${VALID_GENDERS.join('、')} 其中之一`] };
+  }
+  
+  // CSV 的多個別名以 | 分隔
+  const identity = parsePersonIdentityFields({
+    telegram_username: row.telegram_username,
+    telegram_id: row.telegram_id === undefined ? undefined : String(row.telegram_id),
+    aliases: typeof row.aliases === 'string' ? row.aliases.split('|') : row.aliases
+  });
+  if (identity.errors.length > 0) return { status: 'error', errors: identity.errors };
+  
+  const existing = (identity.telegramId && index.byTelegramId.get(identity.telegramId)) ||
+    (identity.telegramUsername && index.byUsername.get(identity.telegramUsername.toLowerCase())) ||
+    index.byName.get(name.toLowerCase()) || null;
+  
+  if (!existing) {
+    const aliases = identity.aliases || [];
+    const conflicts = findImportIdentityConflicts(index, null, { ...identity, aliases });
+    if (conflicts.length > 0) return { status: 'error', errors: conflicts };
+    
+    const person = {
+      name,
+      description: description || '',
+      gender: row.gender || 'unknown',
+      telegram_username: identity.telegramUsername || null,
+      telegram_id: identity.telegramId || null,
+      aliases
+    };
+    const result = await query(
+      'INSERT INTO persons (name, description, gender, telegram_username, telegram_id) VALUES (?, ?, ?, ?, ?)',
+      [person.name, person.description, person.gender, person.telegram_username, person.telegram_id]
+    );
+    person.id = result.insertId;
+    await replacePersonAliases(query, person.id, aliases);
+    addToImportIndex(index, person);
+    return { status: 'created', id: person.id, name };
+  }
+  
+  const changes = {};
+  if (description && description !== existing.description) changes.description = description;
+  if (row.gender && row.gender !== existing.gender) changes.gender = row.gender;
+  if (identity.telegramUsername && identity.telegramUsername !== existing.telegram_username) changes.telegram_username = identity.telegramUsername;
+  if (identity.telegramId && identity.telegramId !== existing.telegram_id) changes.telegram_id = identity.telegramId;
+  const knownAliases = new Set(existing.aliases.map(alias => alias.toLowerCase()));
+  const newAliases = (identity.aliases || []).filter(alias => !knownAliases.has(alias.toLowerCase()));
+  
+  if (Object.keys(changes).length === 0 && newAliases.length === 0) {
+    return { status: 'skipped', id: existing.id, name: existing.name, message: '資料相同' };
+  }
+  
+  const conflicts = findImportIdentityConflicts(index, existing, {
+    telegramUsername: changes.telegram_username,
+    telegramId: changes.telegram_id,
+    aliases: newAliases
+  });
+  if (conflicts.length > 0) return { status: 'error', id: existing.id, errors: conflicts };
+  
+  // 寫入成功後才更新索引，唯一索引衝突時索引維持原狀
+  const before = { ...existing, aliases: [...existing.aliases] };
+  const next = { ...existing, ...changes };
+  await query(
+    'UPDATE persons SET description = ?, gender = ?, telegram_username = ?, telegram_id = ? WHERE id = ?',
+    [next.description, next.gender, next.telegram_username, next.telegram_id, existing.id]
+  );
+  for (const alias of newAliases) {
+    await query('INSERT INTO person_aliases (person_id, alias) VALUES (?, ?)', [existing.id, alias]);
+  }
+  Object.assign(existing, changes);
+  existing.aliases.push(...newAliases);
+  addToImportIndex(index, existing);
+  if (before.telegram_username && before.telegram_username !== existing.telegram_username) {
+    index.byUsername.delete(before.telegram_username.toLowerCase());
+  }
+  if (before.telegram_id && before.telegram_id !== existing.telegram_id) {
+    index.byTelegramId.delete(before.telegram_id);
+  }
+  
+  return { status: 'updated', id: existing.id, name: existing.name, changes: { ...changes, ...(newAliases.length > 0 ? { aliases: newAliases } : {}) } };
+}
+
+// 匯入一列關係：關係已存在時與 addEdge 相同，把新內容附加到歷程
+async function importRelationRow(query, index, relationTypes, actor, row) {
+  const fromPerson = resolveImportPerson(index, row.from);
+  const toPerson = resolveImportPerson(index, row.to);
+  const errors = [];
+  if (!fromPerson) errors.push(`找不到人物「${row.from === undefined ? '' : row.from}」`);
+  if (!toPerson) errors.push(`找不到人物「${row.to === undefined ? '' : row.to}」`);
+  if (errors.length > 0) return { status: 'error', errors };
+  if (fromPerson === toPerson) return { status: 'error', errors: ['不能建立自己與自己的關係'] };
+  
+  const source = sanitizeInput(String(row.source || ''));
+  if (source.length > 500) return { status: 'error', errors: ['source 長度不可超過 500 字元'] };
+  
+  let typeId;
+  if (row.type) {
+    typeId = relationTypes.get(row.type);
+    if (typeId === undefined) return { status: 'error', errors: [`未知的關係類型: ${row.type}`] };
+  }
+  
+  const existingRows = await query(
+    `SELECT id, type_id, source FROM relations
+      WHERE ((from_person_id = ? AND to_person_id = ?) OR (from_person_id = ? AND to_person_id = ?)) AND deleted_at IS NULL`,
+    [fromPerson.id, toPerson.id, toPerson.id, fromPerson.id]
+  );
+  const summary = { from: fromPerson.id, to: toPerson.id };
+  
+  if (existingRows.length === 0) {
+    const result = await query(
+      'INSERT INTO relations (from_person_id, to_person_id, type_id, source) VALUES (?, ?, ?, ?)',
+      [fromPerson.id, toPerson.id, typeId || null, source]
+    );
+    await appendRelationEntry(query, result.insertId, 'created', source, actor);
+    return { status: 'created', id: result.insertId, ...summary };
+  }
+  
+  const existing = existingRows[0];
+  const mergedSource = appendRelationSource(existing.source, source);
+  const typeChanged = typeId !== undefined && typeId !== existing.type_id;
+  if (mergedSource === (existing.source || '').trim() && !typeChanged) {
+    return { status: 'skipped', id: existing.id, ...summary, message: '關係已存在且內容相同' };
+  }
+  
+  await query(
+    'UPDATE relations SET source = ?, type_id = ? WHERE id = ?',
+    [mergedSource, typeChanged ? typeId : existing.type_id, existing.id]
+  );
+  if (source && mergedSource !== (existing.source || '').trim()) {
+    await appendRelationEntry(query, existing.id, 'appended', source, actor);
+  }
+  return { status: 'updated', id: existing.id, ...summary };
+}
+
+// 匯入一列背景：只覆寫有提供的欄位
+async function importBackgroundRow(query, index, row) {
+  const person = resolveImportPerson(index, row.person);
+  if (!person) return { status: 'error', errors: [`找不到人物「${row.person === undefined ? '' : row.person}」`] };
+  
+  let birthYear;
+  if (row.birth_year !== undefined && row.birth_year !== null && row.birth_year !== '') {
+    birthYear = parseInt(row.birth_year, 10);
+    if (isNaN(birthYear) || birthYear < 1900 || birthYear > 2100) {
+      return { status: 'error', id: person.id, errors: ['birth_year 必須是 1900 到 2100 之間的數字'] };
+    }
+  }
+  const body = row.body === undefined ? undefined : sanitizeInput(String(row.body));
+  if (birthYear === undefined && !body) {
+    return { status: 'skipped', id: person.id, message: '沒有提供 birth_year 或 body' };
+  }
+  
+  const existingRows = await query('SELECT birth_year, body, deleted_at FROM person_backgrounds WHERE person_id = ?', [person.id]);
+  const existing = existingRows[0];
+  const live = existing && existing.deleted_at === null;
+  const next = {
+    birth_year: birthYear !== undefined ? birthYear : (live ? existing.birth_year : null),
+    body: body || (live ? existing.body || '' : '')
+  };
+  
+  if (live && next.birth_year === existing.birth_year && next.body === (existing.body || '')) {
+    return { status: 'skipped', id: person.id, message: '資料相同' };
+  }
+  
+  if (existing) {
+    // 垃圾桶中的背景會被新內容取代並移出垃圾桶，視為新增
+    await query(
+      'UPDATE person_backgrounds SET birth_year = ?, body = ?, deleted_at = NULL, deleted_with_person_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE person_id = ?',
+      [next.birth_year, next.body, person.id]
+    );
+  } else {
+    await query('INSERT INTO person_backgrounds (person_id, birth_year, body) VALUES (?, ?, ?)', [person.id, next.birth_year, next.body]);
+  }
+  return { status: live ? 'updated' : 'created', id: person.id };
+}
+
+// POST /api/import - 批次匯入人物、關係與背景（JSON 或 CSV）
+// JSON：{ persons, relations, backgrounds, dryRun }，每個區段可以是物件陣列或 CSV 字串
+// CSV：Content-Type: text/csv，以 ?section=persons|relations|backgrounds 指定區段，?dryRun=true 預覽
+app.post('/api/import',
+  requireApiKey('write:persons', 'write:relations'),
+  rateLimit(60000, 5), // 每分鐘最多 5 次匯入
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  async (req, res) => {
+    const importError = (message) => res.status(400).json({
+      error: '輸入驗證失敗',
+      details: [message],
+      timestamp: new Date().toISOString()
+    });
+    
+    let sections;
+    let dryRun;
+    try {
+      if (typeof req.body === 'string') {
+        const section = String(req.query.section || '');
+        if (!IMPORT_SECTIONS.includes(section)) {
+          return importError(`上傳 CSV 時請以 section 參數指定 ${IMPORT_SECTIONS.join('、')} 其中之一`);
+        }
+        sections = { persons: [], relations: [], backgrounds: [], [section]: parseImportSection(req.body, section) };
+        dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+      } else {
+        const body = req.body || {};
+        sections = {};
+        for (const section of IMPORT_SECTIONS) {
+          sections[section] = parseImportSection(body[section], section);
+        }
+        dryRun = body.dryRun === true || req.query.dryRun === 'true' || req.query.dryRun === '1';
+      }
+    } catch (error) {
+      return importError(error.message);
+    }
+    
+    const rowCount = IMPORT_SECTIONS.reduce((sum, section) => sum + sections[section].length, 0);
+    if (rowCount === 0) {
+      return importError('沒有可匯入的資料，請提供 persons、relations 或 backgrounds');
+    }
+    if (rowCount > IMPORT_MAX_ROWS) {
+      return importError(`單次最多匯入 ${IMPORT_MAX_ROWS} 列，目前有 ${rowCount} 列`);
+    }
+    
+    const actor = getRequestActor(req);
+    const report = { persons: [], relations: [], backgrounds: [] };
+    
+    try {
+      // 依序處理人物、關係、背景，後面的區段可以引用同一次匯入新增的人物
+      await withTransaction(async (query) => {
+        const index = await buildImportPersonIndex(query);
+        const typeRows = await query('SELECT id, slug FROM relation_types');
+        const relationTypes = new Map(typeRows.map(type => [type.slug, type.id]));
+        
+        for (const [section, importRow] of [
+          ['persons', row => importPersonRow(query, index, row)],
+          ['relations', row => importRelationRow(query, index, relationTypes, actor, row)],
+          ['backgrounds', row => importBackgroundRow(query, index, row)]
+        ]) {
+          for (let i = 0; i < sections[section].length; i++) {
+            let result;
+            try {
+              result = await importRow(sections[section][i]);
+            } catch (error) {
+              // 記憶體索引以 toLowerCase 比對，資料庫定序（utf8mb4_unicode_ci）還會忽略重音與全半形，
+              // 索引沒抓到的帳號或別名衝突只標記該列錯誤（整批仍會回滾），其他錯誤照常中止匯入
+              if (!isDuplicateEntryError(error)) throw error;
+              result = { status: 'error', errors: ['Telegram 帳號、ID 或別名已被其他人物使用'] };
+            }
+            report[section].push({ row: i + 1, ...result });
+          }
+        }
+        
+        // 預覽或有任何錯誤時整批回滾，不會只匯入一部分
+        const hasErrors = IMPORT_SECTIONS.some(section => report[section].some(item => item.status === 'error'));
+        if (dryRun || hasErrors) {
+          const rollback = new Error('匯入已回滾');
+          rollback.code = 'IMPORT_ROLLBACK';
+          throw rollback;
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'IMPORT_ROLLBACK') {
+        console.error('批次匯入錯誤:', error);
+        return res.status(500).json({
+          error: '無法匯入資料',
+          message: '伺服器內部錯誤，請稍後再試',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    
+    const summary = {};
+    for (const section of IMPORT_SECTIONS) {
+      summary[section] = { created: 0, updated: 0, skipped: 0, error: 0 };
+      for (const item of report[section]) {
+        summary[section][item.status]++;
+      }
+    }
+    const errorCount = IMPORT_SECTIONS.reduce((sum, section) => sum + summary[section].error, 0);
+    const committed = !dryRun && errorCount === 0;
+    
+    if (committed) {
+      await bumpGraphVersion();
+      await recordAudit(req, 'import', { entityType: 'import', after: { rows: rowCount, summary } });
+    }
+    console.log(`${dryRun ? '預覽' : '執行'}批次匯入:`, { rows: rowCount, errors: errorCount, committed, actor });
+    
+    res.status(errorCount > 0 ? 422 : 200).json({
+      success: errorCount === 0,
+      dryRun,
+      committed,
+      summary,
+      report,
+      message: errorCount > 0
+        ? `有 ${errorCount} 列錯誤，整批匯入已取消，請修正後重新匯入`
+        : dryRun ? `預覽：共 ${rowCount} 列可匯入` : `已匯入 ${rowCount} 列`,
+      timestamp: new Date().toISOString()
+    });
+  }
+);
+
+// ==================== 匯出 ====================
+
+const EXPORT_FORMATS = {
+  graphml: { contentType: 'application/graphml+xml; charset=utf-8', extension: 'graphml' },
+  gexf: { contentType: 'application/gexf+xml; charset=utf-8', extension: 'gexf' },
+  dot: { contentType: 'text/vnd.graphviz; charset=utf-8', extension: 'dot' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+const EXPORT_CSV_TABLES = ['persons', 'relations'];
+
+// 人物匯出屬性：[欄位, GraphML/GEXF 型別]
+const EXPORT_PERSON_ATTRIBUTES = [
+  ['name', 'string'],
+  ['description', 'string'],
+  ['gender', 'string'],
+  ['telegram_username', 'string'],
+  ['telegram_id', 'string'],
+  ['aliases', 'string'],
+  ['birth_year', 'int'],
+  ['background', 'string'],
+  ['degree', 'int'],
+  ['created_at', 'string']
+];
+const EXPORT_RELATION_ATTRIBUTES = [
+  ['type', 'string'],
+  ['source', 'string'],
+  ['created_at', 'string']
+];
+
+// 取得匯出用的完整資料：人物（含背景、別名與度數）與關係
+async function loadExportData({ includeIsolated = true } = {}) {
+  const [persons, relations, backgrounds] = await Promise.all([
+    queryDatabase('SELECT id, name, description, gender, telegram_username, telegram_id, created_at FROM persons WHERE deleted_at IS NULL ORDER BY id'),
+    queryDatabase(`SELECT r.id, r.from_person_id, r.to_person_id, r.source, r.created_at, rt.slug AS type
+      FROM relations r LEFT JOIN relation_types rt ON rt.id = r.type_id WHERE r.deleted_at IS NULL ORDER BY r.id`),
+    queryDatabase('SELECT person_id, birth_year, body FROM person_backgrounds WHERE deleted_at IS NULL')
+  ]);
+  const aliasesByPerson = await loadPersonAliases(persons.map(person => person.id));
+  const backgroundsByPerson = new Map(backgrounds.map(row => [row.person_id, row]));
+  
+  const degrees = new Map();
+  for (const relation of relations) {
+    degrees.set(relation.from_person_id, (degrees.get(relation.from_person_id) || 0) + 1);
+    degrees.set(relation.to_person_id, (degrees.get(relation.to_person_id) || 0) + 1);
+  }
+  
+  const exportedPersons = persons
+    .filter(person => includeIsolated || degrees.has(person.id))
+    .map(person => {
+      const background = backgroundsByPerson.get(person.id);
+      return {
+        id: person.id,
+        name: person.name,
+        description: person.description || '',
+        gender: person.gender,
+        telegram_username: person.telegram_username || null,
+        telegram_id: person.telegram_id || null,
+        aliases: aliasesByPerson.get(person.id) || [],
+        birth_year: background && background.birth_year ? background.birth_year : null,
+        background: background && background.body ? background.body : '',
+        degree: degrees.get(person.id) || 0,
+        created_at: person.created_at instanceof Date ? person.created_at.toISOString() : person.created_at
+      };
+    });
+  
+  return {
+    persons: exportedPersons,
+    relations: relations.map(relation => ({
+      id: relation.id,
+      from: relation.from_person_id,
+      to: relation.to_person_id,
+      type: relation.type || null,
+      source: relation.source || '',
+      created_at: relation.created_at instanceof Date ? relation.created_at.toISOString() : relation.created_at
+    }))
+  };
+}
+
+// 匯出時的屬性值：別名以 | 串接，null 輸出為空字串
+function exportAttributeValue(item, field) {
+  const value = item[field];
+  if (Array.isArray(value)) return value.join('|');
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // 屬性值中的換行會被 XML 解析器轉成空白，改用字元參照保留
+    .replace(/\r/g, '&#13;')
+    .replace(/\n/g, '&#10;')
+    // XML 1.0 不允許的控制字元
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function formatGraphml({ persons, relations }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '  xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+  ];
+  for (const [field, type] of EXPORT_PERSON_ATTRIBUTES) {
+    lines.push(`  <key id="n_${field}" for="node" attr.name="${field}" attr.type="${type}"/>`);
+  }
+  for (const [field, type] of EXPORT_RELATION_ATTRIBUTES) {
+    lines.push(`  <key id="e_${field}" for="edge" attr.name="${field}" attr.type="${type}"/>`);
+  }
+  lines.push('  <graph id="relationships" edgedefault="undirected">');
+  
+  for (const person of persons) {
+    lines.push(`    <node id="n${person.id}">`);
+    for (const [field] of EXPORT_PERSON_ATTRIBUTES) {
+      const value = exportAttributeValue(person, field);
+      if (value !== '') lines.push(`      <data key="n_${field}">${escapeXml(value)}</data>`);
+    }
+    lines.push('    </node>');
+  }
+  for (const relation of relations) {
+    lines.push(`    <edge id="e${relation.id}" source="n${relation.from}" target="n${relation.to}">`);
+    for (const [field] of EXPORT_RELATION_ATTRIBUTES) {
+      const value = exportAttributeValue(relation, field);
+      if (value !== '') lines.push(`      <data key="e_${field}">${escapeXml(value)}</data>`);
+    }
+    lines.push('    </edge>');
+  }
+  
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+function formatGexf({ persons, relations }) {
+  const gexfType = type => (type === 'int' ? 'integer' : type);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>SITCON 人物關係圖</creator>',
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="undirected">',
+    '    <attributes class="node">'
+  ];
+  // name 即節點的 label，不另外列為屬性
+  const nodeAttributes = EXPORT_PERSON_ATTRIBUTES.filter(([field]) => field !== 'name');
+  nodeAttributes.forEach(([field, type], index) => {
+    lines.push(`      <attribute id="${index}" title="${field}" type="${gexfType(type)}"/>`);
+  });
+  lines.push('    </attributes>', '    <attributes class="edge">');
+  EXPORT_RELATION_ATTRIBUTES.forEach(([field, type], index) => {
+    lines.push(`      <attribute id="${index}" title="${field}" type="${gexfType(type)}"/>`);
+  });
+  lines.push('    </attributes>', '    <nodes>');
+  
+  const attvalues = (item, attributes, indent) => {
+    const values = attributes
+      .map(([field], index) => [index, exportAttributeValue(item, field)])
+      .filter(([, value]) => value !== '');
+    if (values.length === 0) return [];
+    return [
+      `${indent}<attvalues>`,
+      ...values.map(([index, value]) => `${indent}  <attvalue for="${index}" value="${escapeXml(value)}"/>`),
+      `${indent}</attvalues>`
+    ];
+  };
+  
+  for (const person of persons) {
+    lines.push(`      <node id="${person.id}" label="${escapeXml(person.name)}">`);
+    lines.push(...attvalues(person, nodeAttributes, '        '));
+    lines.push('      </node>');
+  }
+  lines.push('    </nodes>', '    <edges>');
+  for (const relation of relations) {
+    lines.push(`      <edge id="${relation.id}" source="${relation.from}" target="${relation.to}">`);
+    lines.push(...attvalues(relation, EXPORT_RELATION_ATTRIBUTES, '        '));
+    lines.push('      </edge>');
+  }
+  
+  lines.push('    </edges>', '  </graph>', '</gexf>', '');
+  return lines.join('\n');
+}
+
+// DOT 字串：以雙引號包住並跳脫反斜線、雙引號與換行
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function formatDot({ persons, relations }) {
+  const attributes = (item, fields) => fields
+    .map(([field]) => [field, exportAttributeValue(item, field)])
+    .filter(([, value]) => value !== '')
+    .map(([field, value]) => `${field}=${quoteDot(value)}`);
+  
+  const lines = ['graph relationships {'];
+  for (const person of persons) {
+    const fields = EXPORT_PERSON_ATTRIBUTES.filter(([field]) => field !== 'name');
+    lines.push(`  ${person.id} [${[`label=${quoteDot(person.name)}`, ...attributes(person, fields)].join(', ')}];`);
+  }
+  for (const relation of relations) {
+    const edgeAttributes = attributes(relation, EXPORT_RELATION_ATTRIBUTES);
+    lines.push(`  ${relation.from} -- ${relation.to}${edgeAttributes.length > 0 ? ` [${edgeAttributes.join(', ')}]` : ''};`);
+  }
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV 欄位名稱配合 Gephi 的節點表（Id、Label）與邊表（Source、Target、Type）
+function formatCsv({ persons, relations }, table) {
+  const rows = table === 'persons'
+    ? [
+      ['Id', 'Label', ...EXPORT_PERSON_ATTRIBUTES.filter(([field]) => field !== 'name').map(([field]) => field)],
+      ...persons.map(person => [
+        person.id,
+        person.name,
+        ...EXPORT_PERSON_ATTRIBUTES.filter(([field]) => field !== 'name').map(([field]) => exportAttributeValue(person, field))
+      ])
+    ]
+    : [
+      // Gephi 的 Type 欄位代表有向／無向，關係類型與內容改用 relation_type、relation_source
+      ['Id', 'Source', 'Target', 'Type', 'relation_type', 'relation_source', 'created_at'],
+      ...relations.map(relation => [
+        relation.id,
+        relation.from,
+        relation.to,
+        'Undirected',
+        exportAttributeValue(relation, 'type'),
+        exportAttributeValue(relation, 'source'),
+        exportAttributeValue(relation, 'created_at')
+      ])
+    ];
+  
+  // 加上 BOM 讓 Excel 正確辨識 UTF-8 中文
+  return '\uFEFF' + rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+// GET /api/export?format=graphml - 匯出完整關係圖（含孤立人物、屬性與背景）
+// 參數：format（graphml、gexf、dot、json、csv）、isolated=false 排除沒有關係的人物、table（csv 專用：persons 或 relations）
+// 每分鐘最多 10 次（每次都是完整匯出）
+app.get('/api/export', requireReadAccess('read'), rateLimit(60000, 10), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    const table = String(req.query.table || 'relations');
+    const includeIsolated = req.query.isolated !== 'false' && req.query.isolated !== '0';
+    
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: '輸入驗證失敗',
+        details: [`format 必須是 ${Object.keys(EXPORT_FORMATS).join('、')} 其中之一`],
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (format === 'csv' && !EXPORT_CSV_TABLES.includes(table)) {
+      return res.status(400).json({
+        error: '輸入驗證失敗',
+        details: [`table 必須是 ${EXPORT_CSV_TABLES.join('、')} 其中之一`],
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const data = await loadExportData({ includeIsolated });
+    
+    let body;
+    if (format === 'graphml') {
+      body = formatGraphml(data);
+    } else if (format === 'gexf') {
+      body = formatGexf(data);
+    } else if (format === 'dot') {
+      body = formatDot(data);
+    } else if (format === 'csv') {
+      body = formatCsv(data, table);
+    } else {
+      body = JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        includeIsolated,
+        counts: { persons: data.persons.length, relations: data.relations.length },
+        ...data
+      }, null, 2);
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `relationships-${date}${format === 'csv' ? `-${table}` : ''}.${EXPORT_FORMATS[format].extension}`;
+    
+    console.log('匯出關係圖:', { format, table: format === 'csv' ? table : undefined, persons: data.persons.length, relations: data.relations.length });
+    
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Graph-Version', await refreshGraphVersion());
+    res.send(body);
+    
+  } catch (error) {
+    console.error('匯出關係圖錯誤:', error);
+    res.status(500).json({
+      error: '無法匯出關係圖',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ==================== 資料快照（備份與還原） ====================
+
+const SNAPSHOT_FORMAT = 'sitcon-relationship-snapshot';
+const SNAPSHOT_FORMAT_VERSION = 1;
+const SNAPSHOT_TRIGGERS = ['manual', 'scheduled', 'pre_restore', 'upload'];
+const snapshotConfig = config.snapshot || {};
+// 自動快照間隔（毫秒），0 表示停用
+const SNAPSHOT_INTERVAL = parseInt(snapshotConfig.interval || 0);
+// 自動產生的快照（排程與還原前備份）最多保留的份數與時間，手動建立與上傳的快照不會自動刪除
+const SNAPSHOT_KEEP = parseInt(snapshotConfig.keep || 30);
+const SNAPSHOT_MAX_AGE = parseInt(snapshotConfig.maxAge || 0);
+// 預覽差異時每個資料表最多列出的項目數
+const SNAPSHOT_DIFF_ITEM_LIMIT = 50;
+
+// 快照包含的資料表與欄位：依此順序寫入，刪除時反向（符合外鍵順序）
+const SNAPSHOT_TABLES = [
+  { name: 'persons', columns: ['id', 'name', 'description', 'gender', 'telegram_username', 'telegram_id', 'created_at', 'deleted_at'] },
+  { name: 'person_aliases', columns: ['id', 'person_id', 'alias', 'created_at'] },
+  { name: 'relation_types', columns: ['id', 'slug', 'label', 'color', 'line_style', 'created_at'] },
+  { name: 'relations', columns: ['id', 'from_person_id', 'to_person_id', 'type_id', 'source', 'created_at', 'deleted_at', 'deleted_with_person_id'] },
+  { name: 'relation_entries', columns: ['id', 'relation_id', 'action', 'body', 'actor_type', 'actor_id', 'created_at'] },
+  { name: 'person_backgrounds', columns: ['id', 'person_id', 'birth_year', 'body', 'created_at', 'updated_at', 'deleted_at', 'deleted_with_person_id'] }
+];
+const SNAPSHOT_DATE_COLUMNS = ['created_at', 'updated_at', 'deleted_at'];
+
+// 快照欄位限制（對應 db.sql）：上傳或還原前先檢查，避免寫入時才因型別、長度或唯一索引失敗
+// type：integer、string（maxLength 以字元計）、text（TEXT 欄位，以位元組計）；unique 依資料庫定序不分大小寫
+const SNAPSHOT_TEXT_MAX_BYTES = 65535;
+const SNAPSHOT_COLUMN_RULES = {
+  persons: {
+    name: { type: 'string', required: true, maxLength: 255 },
+    description: { type: 'text' },
+    gender: { type: 'string', enum: VALID_GENDERS },
+    telegram_username: { type: 'string', maxLength: 32, unique: true },
+    telegram_id: { type: 'string', maxLength: 20, unique: true }
+  },
+  person_aliases: {
+    person_id: { type: 'integer', required: true },
+    alias: { type: 'string', required: true, maxLength: 100, unique: true }
+  },
+  relation_types: {
+    slug: { type: 'string', required: true, maxLength: 50, unique: true },
+    label: { type: 'string', required: true, maxLength: 100 },
+    color: { type: 'string', maxLength: 7 },
+    line_style: { type: 'string', enum: RELATION_LINE_STYLES }
+  },
+  relations: {
+    from_person_id: { type: 'integer', required: true },
+    to_person_id: { type: 'integer', required: true },
+    type_id: { type: 'integer' },
+    source: { type: 'text' },
+    deleted_with_person_id: { type: 'integer' }
+  },
+  relation_entries: {
+    relation_id: { type: 'integer', required: true },
+    action: { type: 'string', required: true, enum: ['created', 'appended', 'edited'] },
+    body: { type: 'text' },
+    actor_type: { type: 'string', required: true, enum: AUDIT_ACTOR_TYPES },
+    actor_id: { type: 'string', maxLength: 255 }
+  },
+  person_backgrounds: {
+    person_id: { type: 'integer', required: true, unique: true },
+    birth_year: { type: 'integer' },
+    body: { type: 'text' }
+  }
+};
+// 欄位錯誤最多列出的筆數
+const SNAPSHOT_VALIDATION_ERROR_LIMIT = 50;
+
+function gzipAsync(buffer) {
+  return new Promise((resolve, reject) => {
+    zlib.gzip(buffer, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+function gunzipAsync(buffer) {
+  return new Promise((resolve, reject) => {
+    zlib.gunzip(buffer, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+// 讀取目前的完整資料（含垃圾桶中的資料），日期轉為 ISO 字串以便比對與序列化
+async function collectSnapshotData(query = queryDatabase) {
+  const tables = {};
+  for (const table of SNAPSHOT_TABLES) {
+    const rows = await query(`SELECT ${table.columns.join(', ')} FROM ${table.name} ORDER BY id`);
+    tables[table.name] = JSON.parse(JSON.stringify(rows));
+  }
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    tables
+  };
+}
+
+function snapshotChecksum(tables) {
+  return crypto.createHash('sha256').update(JSON.stringify(tables)).digest('hex');
+}
+
+function formatSnapshot(row) {
+  return {
+    id: row.id,
+    label: row.label || '',
+    trigger: row.trigger_type,
+    formatVersion: row.format_version,
+    createdBy: row.created_by,
+    counts: {
+      persons: row.person_count,
+      relations: row.relation_count,
+      backgrounds: row.background_count
+    },
+    checksum: row.checksum,
+    sizeBytes: row.size_bytes,
+    createdAt: row.created_at
+  };
+}
+
+// 壓縮並儲存快照，回傳快照資訊
+async function saveSnapshot(query, data, { label = '', trigger, createdBy = null }) {
+  const compressed = await gzipAsync(Buffer.from(JSON.stringify(data), 'utf8'));
+  const row = {
+    label: label || null,
+    trigger_type: trigger,
+    format_version: data.version,
+    created_by: createdBy,
+    person_count: data.tables.persons.filter(person => !person.deleted_at).length,
+    relation_count: data.tables.relations.filter(relation => !relation.deleted_at).length,
+    background_count: data.tables.person_backgrounds.filter(background => !background.deleted_at).length,
+    checksum: snapshotChecksum(data.tables),
+    size_bytes: compressed.length
+  };
+  
+  const result = await query(
+    `INSERT INTO snapshots (label, trigger_type, format_version, created_by, person_count, relation_count, background_count, checksum, size_bytes, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [row.label, row.trigger_type, row.format_version, row.created_by, row.person_count, row.relation_count,
+      row.background_count, row.checksum, row.size_bytes, compressed]
+  );
+  return formatSnapshot({ id: result.insertId, ...row, created_at: new Date() });
+}
+
+// 讀取快照內容，找不到時回傳 null
+async function loadSnapshot(snapshotId) {
+  const rows = await queryDatabase(
+    `SELECT id, label, trigger_type, format_version, created_by, person_count, relation_count, background_count, checksum, size_bytes, data, created_at
+      FROM snapshots WHERE id = ?`,
+    [snapshotId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  const data = JSON.parse((await gunzipAsync(rows[0].data)).toString('utf8'));
+  return { snapshot: formatSnapshot(rows[0]), data };
+}
+
+// 檢查快照格式與資料之間的參照是否完整，回傳錯誤訊息陣列
+function validateSnapshotData(data) {
+  if (!data || typeof data !== 'object' || data.format !== SNAPSHOT_FORMAT) {
+    return [`不是有效的快照檔案（format 必須是 ${SNAPSHOT_FORMAT}）`];
+  }
+  if (!Number.isInteger(data.version) || data.version > SNAPSHOT_FORMAT_VERSION) {
+    return [`不支援的快照版本 ${data.version}，目前最高支援版本 ${SNAPSHOT_FORMAT_VERSION}`];
+  }
+  
+  const errors = [];
+  const ids = {};
+  for (const table of SNAPSHOT_TABLES) {
+    const rows = data.tables && data.tables[table.name];
+    if (!Array.isArray(rows) || rows.some(row => !row || !Number.isInteger(row.id))) {
+      errors.push(`資料表 ${table.name} 必須是包含整數 id 的物件陣列`);
+      ids[table.name] = new Set();
+      continue;
+    }
+    ids[table.name] = new Set(rows.map(row => row.id));
+    if (ids[table.name].size !== rows.length) {
+      errors.push(`資料表 ${table.name} 有重複的 id`);
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+  
+  // 逐列檢查欄位，錯誤訊息標示資料表、第幾筆與 id
+  let rowErrorCount = 0;
+  const addRowError = (tableName, index, row, message) => {
+    rowErrorCount++;
+    if (rowErrorCount <= SNAPSHOT_VALIDATION_ERROR_LIMIT) {
+      errors.push(`資料表 ${tableName} 第 ${index + 1} 筆（id ${row.id}）：${message}`);
+    }
+  };
+  for (const table of SNAPSHOT_TABLES) {
+    const rules = SNAPSHOT_COLUMN_RULES[table.name];
+    const seen = {};
+    data.tables[table.name].forEach((row, index) => {
+      for (const column of table.columns) {
+        const value = row[column] === undefined ? null : row[column];
+        if (SNAPSHOT_DATE_COLUMNS.includes(column)) {
+          if (value !== null && (typeof value !== 'string' || isNaN(new Date(value).getTime()))) {
+            addRowError(table.name, index, row, `${column} 必須是 ISO 8601 時間或 null`);
+          }
+          continue;
+        }
+        const rule = rules[column];
+        if (!rule) continue;
+        if (value === null) {
+          if (rule.required) addRowError(table.name, index, row, `缺少 ${column}`);
+          continue;
+        }
+        if (rule.type === 'integer' ? !Number.isInteger(value) : typeof value !== 'string') {
+          addRowError(table.name, index, row, `${column} 必須是${rule.type === 'integer' ? '整數' : '字串'}`);
+          continue;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+          addRowError(table.name, index, row, `${column} 必須是 ${rule.enum.join('、')} 其中之一`);
+        }
+        if (rule.maxLength && [...value].length > rule.maxLength) {
+          addRowError(table.name, index, row, `${column} 長度不可超過 ${rule.maxLength} 字元`);
+        }
+        if (rule.type === 'text' && Buffer.byteLength(value, 'utf8') > SNAPSHOT_TEXT_MAX_BYTES) {
+          addRowError(table.name, index, row, `${column} 不可超過 ${SNAPSHOT_TEXT_MAX_BYTES} 位元組`);
+        }
+        if (rule.unique) {
+          const key = String(value).toLowerCase();
+          seen[column] = seen[column] || new Map();
+          if (seen[column].has(key)) {
+            addRowError(table.name, index, row, `${column}「${value}」與 id ${seen[column].get(key)} 重複`);
+          } else {
+            seen[column].set(key, row.id);
+          }
+        }
+      }
+    });
+  }
+  if (rowErrorCount > SNAPSHOT_VALIDATION_ERROR_LIMIT) {
+    errors.push(`另有 ${rowErrorCount - SNAPSHOT_VALIDATION_ERROR_LIMIT} 筆欄位錯誤未列出`);
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+  
+  const checkReference = (tableName, column, targetTable, nullable = false) => {
+    const broken = data.tables[tableName].filter(row =>
+      !(nullable && row[column] === null) && !ids[targetTable].has(row[column])
+    );
+    if (broken.length > 0) {
+      errors.push(`資料表 ${tableName} 有 ${broken.length} 筆資料的 ${column} 參照不存在的 ${targetTable}（例如 id ${broken[0].id}）`);
+    }
+  };
+  checkReference('person_aliases', 'person_id', 'persons');
+  checkReference('relations', 'from_person_id', 'persons');
+  checkReference('relations', 'to_person_id', 'persons');
+  checkReference('relations', 'type_id', 'relation_types', true);
+  checkReference('relation_entries', 'relation_id', 'relations');
+  checkReference('person_backgrounds', 'person_id', 'persons');
+  
+  return errors;
+}
+
+// 比較目前資料與快照：每個資料表列出新增、移除、變更的筆數與前幾筆項目
+function diffSnapshotData(current, target) {
+  const personNames = new Map();
+  for (const person of [...current.tables.persons, ...target.tables.persons]) {
+    personNames.set(person.id, person.name);
+  }
+  const describe = {
+    persons: row => row.name,
+    person_aliases: row => `${personNames.get(row.person_id) || row.person_id}：${row.alias}`,
+    relation_types: row => row.slug,
+    relations: row => `${personNames.get(row.from_person_id) || row.from_person_id} ↔ ${personNames.get(row.to_person_id) || row.to_person_id}`,
+    relation_entries: row => `關係 ${row.relation_id}：${(row.body || '').substring(0, 50)}`,
+    person_backgrounds: row => personNames.get(row.person_id) || String(row.person_id)
+  };
+  
+  const diff = {};
+  for (const table of SNAPSHOT_TABLES) {
+    const currentRows = new Map(current.tables[table.name].map(row => [row.id, row]));
+    const targetRows = new Map(target.tables[table.name].map(row => [row.id, row]));
+    const result = { added: 0, removed: 0, changed: 0, unchanged: 0, items: [] };
+    const addItem = item => {
+      if (result.items.length < SNAPSHOT_DIFF_ITEM_LIMIT) result.items.push(item);
+    };
+    
+    // added / removed 以還原後的結果描述：快照有而目前沒有的資料會被加回
+    for (const [id, row] of targetRows) {
+      const existing = currentRows.get(id);
+      if (!existing) {
+        result.added++;
+        addItem({ id, change: 'added', label: describe[table.name](row) });
+        continue;
+      }
+      const fields = table.columns.filter(column => column !== 'id' &&
+        JSON.stringify(existing[column] === undefined ? null : existing[column]) !== JSON.stringify(row[column] === undefined ? null : row[column]));
+      if (fields.length === 0) {
+        result.unchanged++;
+      } else {
+        result.changed++;
+        addItem({
+          id,
+          change: 'changed',
+          label: describe[table.name](row),
+          fields: Object.fromEntries(fields.map(field => [field, { from: existing[field], to: row[field] === undefined ? null : row[field] }]))
+        });
+      }
+    }
+    for (const [id, row] of currentRows) {
+      if (!targetRows.has(id)) {
+        result.removed++;
+        addItem({ id, change: 'removed', label: describe[table.name](row) });
+      }
+    }
     
-    // 查詢背景資訊
-    const backgroundResult = await queryDatabase(
-      'SELECT person_id, birth_year, body, created_at, updated_at FROM person_backgrounds WHERE person_id = ?',
-      [personId]
+    result.truncated = result.added + result.removed + result.changed > result.items.length;
+    diff[table.name] = result;
+  }
+  return diff;
+}
+
+// 確認碼綁定快照與預覽當下的資料；預覽後資料有變動時確認碼會失效，需重新預覽
+function snapshotConfirmToken(snapshotId, currentChecksum) {
+  return crypto.createHash('sha256').update(`${snapshotId}:${currentChecksum}`).digest('hex').substring(0, 32);
+}
+
+// 以快照內容取代目前所有資料（需在交易中執行）
+async function restoreSnapshotData(query, data) {
+  for (const table of [...SNAPSHOT_TABLES].reverse()) {
+    await query(`DELETE FROM ${table.name}`);
+  }
+  
+  for (const table of SNAPSHOT_TABLES) {
+    const rows = data.tables[table.name];
+    // 分批寫入，避免單一 SQL 過長
+    for (let i = 0; i < rows.length; i += 500) {
+      const batch = rows.slice(i, i + 500);
+      const placeholders = batch.map(() => `(${table.columns.map(() => '?').join(', ')})`).join(', ');
+      const params = [];
+      for (const row of batch) {
+        for (const column of table.columns) {
+          const value = row[column] === undefined ? null : row[column];
+          params.push(SNAPSHOT_DATE_COLUMNS.includes(column) && value !== null ? new Date(value) : value);
+        }
+      }
+      await query(`INSERT INTO ${table.name} (${table.columns.join(', ')}) VALUES ${placeholders}`, params);
+    }
+  }
+}
+
+// 依保留設定刪除過舊的自動快照
+async function pruneSnapshots() {
+  const automatic = await queryDatabase(
+    "SELECT id, created_at FROM snapshots WHERE trigger_type IN ('scheduled', 'pre_restore') ORDER BY created_at DESC, id DESC"
+  );
+  const now = Date.now();
+  const expired = automatic.filter((row, index) =>
+    (SNAPSHOT_KEEP > 0 && index >= SNAPSHOT_KEEP) ||
+    (SNAPSHOT_MAX_AGE > 0 && now - new Date(row.created_at).getTime() > SNAPSHOT_MAX_AGE)
+  );
+  
+  if (expired.length > 0) {
+    const ids = expired.map(row => row.id);
+    await queryDatabase(`DELETE FROM snapshots WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+    console.log(`已刪除 ${ids.length} 份過期的自動快照`);
+  }
+}
+
+// 排程快照：距離上一次排程快照超過設定間隔才建立（多台伺服器或重啟時不會重複建立）
+async function runScheduledSnapshot() {
+  const latest = await queryDatabase(
+    "SELECT created_at FROM snapshots WHERE trigger_type = 'scheduled' ORDER BY created_at DESC LIMIT 1"
+  );
+  if (latest.length > 0 && Date.now() - new Date(latest[0].created_at).getTime() < SNAPSHOT_INTERVAL) {
+    return;
+  }
+  
+  const snapshot = await saveSnapshot(queryDatabase, await collectSnapshotData(), { trigger: 'scheduled', createdBy: 'system' });
+  console.log('已建立排程快照:', { id: snapshot.id, counts: snapshot.counts, sizeBytes: snapshot.sizeBytes });
+  await pruneSnapshots();
+}
+
+if (SNAPSHOT_INTERVAL > 0) {
+  // 每 10 分鐘（或更短的間隔）檢查一次是否需要建立快照
+  setInterval(() => {
+    runScheduledSnapshot().catch(error => console.error('排程快照失敗:', error.message));
+  }, Math.min(SNAPSHOT_INTERVAL, 10 * 60 * 1000));
+}
+
+// GET /api/admin/snapshots - 列出快照（管理員專用）
+app.get('/api/admin/snapshots', requireAdminSession, async (req, res) => {
+  try {
+    const rows = await queryDatabase(
+      `SELECT id, label, trigger_type, format_version, created_by, person_count, relation_count, background_count, checksum, size_bytes, created_at
+        FROM snapshots ORDER BY created_at DESC, id DESC`
     );
     
-    const person = personResult[0];
-    const background = backgroundResult.length > 0 ? backgroundResult[0] : null;
-    
     res.json({
       success: true,
-      person: {
-        id: person.id,
-        name: person.name,
-        description: person.description,
-        gender: person.gender
-      },
-      background: background ? {
-        birth_year: background.birth_year || null,
-        body: background.body || '',
-        created_at: background.created_at,
-        updated_at: background.updated_at
-      } : null,
-      message: background ? '成功取得人物背景' : '此人物尚無背景資訊',
+      snapshots: rows.map(formatSnapshot),
+      schedule: { interval: SNAPSHOT_INTERVAL, keep: SNAPSHOT_KEEP, maxAge: SNAPSHOT_MAX_AGE },
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('取得人物背景錯誤:', error);
+    console.error('取得快照列表錯誤:', error);
     res.status(500).json({
-      error: '無法取得人物背景',
+      error: '無法取得快照列表',
       message: '伺服器內部錯誤，請稍後再試',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// 驗證中間件：支援 Session 或 API Key
-function requireSessionOrApiKey(req, res, next) {
-  const sessionToken = req.headers['x-session-token'];
-  const apiKey = req.headers['x-api-key'];
-  
-  // 優先檢查 Session Token
-  if (sessionToken) {
-    const session = sessions.get(sessionToken);
-    if (session && (Date.now() - session.createdAt <= SESSION_TIMEOUT)) {
-      req.adminUser = session.username;
-      return next();
-    }
-  }
-  
-  // 檢查 API Key
-  if (apiKey) {
-    if (apiKey === config.api.key) {
-      return next();
-    }
-  }
-  
-  // 都沒有或都無效
-  return res.status(401).json({
-    error: '未授權',
-    message: '請提供有效的 Session Token 或 API Key',
-    timestamp: new Date().toISOString()
-  });
-}
-
-// POST /api/background - 新增或更新人物背景資訊（使用 Query Parameters）
-app.post('/api/background',
-  requireSessionOrApiKey, // 支援 Session Token 或 API Key
-  rateLimit(60000, 30), // 每分鐘最多 30 次
+// POST /api/admin/snapshots - 建立快照，或上傳先前下載的快照檔（editor 以上）
+app.post('/api/admin/snapshots',
+  requireAdminSession,
+  requireAdminRole('editor'),
+  rateLimit(60000, 10), // 每分鐘最多 10 次
   validateInput({
-    required: ['id'],
-    types: { 
-      id: 'string',
-      // birth_year 可以是 string 或 number，後面會轉換
-      body: 'string'
-    },
-    numberRange: {
-      id: { min: 1, max: 2147483647 },
-      birth_year: { min: 1900, max: 2100 } // numberRange 會自動用 parseFloat 檢查
-    }
+    types: { label: 'string', snapshot: 'object' },
+    maxLength: { label: 100 }
   }),
   async (req, res) => {
     try {
-      const personId = validateId(req.body.id);
+      const label = sanitizeInput(req.body.label || '');
+      const uploaded = req.body.snapshot !== undefined;
       
-      // 處理 birth_year：可以接受字串或數字，統一轉換成數字或 null
-      let birth_year = null;
-      if (req.body.birth_year !== undefined && req.body.birth_year !== null && req.body.birth_year !== '') {
-        const parsedYear = parseInt(req.body.birth_year, 10);
-        if (isNaN(parsedYear)) {
+      if (uploaded) {
+        const errors = validateSnapshotData(req.body.snapshot);
+        if (errors.length > 0) {
           return res.status(400).json({
-            error: '輸入驗證失敗',
-            details: ['birth_year 必須是有效的數字'],
+            error: '快照格式錯誤',
+            details: errors,
             timestamp: new Date().toISOString()
           });
         }
-        birth_year = parsedYear;
-      }
-      
-      const { body = '' } = req.body;
-      
-      // 清理輸入
-      const cleanBody = sanitizeInput(body);
-      
-      // 檢查人物是否存在
-      const personExists = await queryDatabase(
-        'SELECT id FROM persons WHERE id = ?',
-        [personId]
-      );
-      
-      if (personExists.length === 0) {
-        return res.status(404).json({
-          error: '人物不存在',
-          message: `找不到 ID 為 ${personId} 的人物`,
-          timestamp: new Date().toISOString()
-        });
       }
       
-      // 檢查背景資訊是否已存在
-      const existingBackground = await queryDatabase(
-        'SELECT person_id FROM person_backgrounds WHERE person_id = ?',
-        [personId]
-      );
-      
-      let result;
-      let isUpdate = false;
-      
-      if (existingBackground.length > 0) {
-        // 更新現有背景
-        result = await queryDatabase(
-          'UPDATE person_backgrounds SET birth_year = ?, body = ?, updated_at = CURRENT_TIMESTAMP WHERE person_id = ?',
-          [birth_year, cleanBody, personId]
-        );
-        isUpdate = true;
-      } else {
-        // 新增背景
-        result = await queryDatabase(
-          'INSERT INTO person_backgrounds (person_id, birth_year, body) VALUES (?, ?, ?)',
-          [personId, birth_year, cleanBody]
-        );
-      }
+      const data = uploaded ? req.body.snapshot : await collectSnapshotData();
+      const snapshot = await saveSnapshot(queryDatabase, data, {
+        label,
+        trigger: uploaded ? 'upload' : 'manual',
+        createdBy: req.adminUser
+      });
       
-      console.log(`${isUpdate ? '更新' : '新增'}人物背景成功:`, { personId, birth_year, bodyLength: cleanBody.length });
+      console.log(`${uploaded ? '上傳' : '建立'}快照成功:`, { id: snapshot.id, by: req.adminUser });
+      await recordAudit(req, 'snapshot.create', { entityType: 'snapshot', entityId: snapshot.id, after: snapshot });
       
       res.json({
         success: true,
-        personId: personId,
-        action: isUpdate ? 'updated' : 'created',
-        message: `人物背景${isUpdate ? '更新' : '新增'}成功`,
+        snapshot,
+        message: uploaded ? '快照已上傳' : '快照已建立',
         timestamp: new Date().toISOString()
       });
-      
     } catch (error) {
-      console.error('新增/更新人物背景錯誤:', error);
+      console.error('建立快照錯誤:', error);
       res.status(500).json({
-        error: '無法處理人物背景',
+        error: '無法建立快照',
         message: '伺服器內部錯誤，請稍後再試',
         timestamp: new Date().toISOString()
       });
@@ -817,249 +7063,141 @@ app.post('/api/background',
   }
 );
 
-// GET /api/relations?id=:id - 以查詢參數查詢人物的關係狀態
-app.get('/api/relations', async (req, res) => {
+// GET /api/admin/snapshots/:id/download - 下載快照 JSON 檔
+app.get('/api/admin/snapshots/:id/download', requireAdminSession, async (req, res) => {
   try {
-    const { id } = req.query;
-    if (id === undefined || id === null || id === '') {
-      return res.status(400).json({
-        error: '缺少必要參數',
-        message: '請提供 id 查詢參數，例如 /api/relations?id=1',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    const personId = validateId(id);
-    console.log(`查詢人物關係狀態(參數版): personId=${personId}`);
-
-    // 確認人物存在
-    const personRows = await queryDatabase(
-      'SELECT id, name, description, gender FROM persons WHERE id = ?',
-      [personId]
-    );
-
-    if (personRows.length === 0) {
+    const snapshotId = validateId(req.params.id);
+    const loaded = await loadSnapshot(snapshotId);
+    
+    if (!loaded) {
       return res.status(404).json({
-        error: '人物不存在',
-        message: `找不到 ID 為 ${personId} 的人物`,
+        error: '快照不存在',
+        message: `找不到 ID 為 ${snapshotId} 的快照`,
         timestamp: new Date().toISOString()
       });
     }
-
-    const person = personRows[0];
-
-    // 取得所有與該人物相關的關係（雙向）
-    const relations = await queryDatabase(
-      'SELECT id, from_person_id, to_person_id, source FROM relations WHERE from_person_id = ? OR to_person_id = ? ORDER BY id',
-      [personId, personId]
-    );
-
-    // 收集鄰接人物 ID
-    const neighborIdSet = new Set();
-    for (const rel of relations) {
-      if (rel.from_person_id === personId) neighborIdSet.add(rel.to_person_id);
-      if (rel.to_person_id === personId) neighborIdSet.add(rel.from_person_id);
-    }
-
-    const neighborIds = Array.from(neighborIdSet);
-    let neighbors = [];
-    if (neighborIds.length > 0) {
-      const placeholders = neighborIds.map(() => '?').join(',');
-      const neighborRows = await queryDatabase(
-        `SELECT id, name, gender FROM persons WHERE id IN (${placeholders}) ORDER BY id`,
-        neighborIds
-      );
-      neighbors = neighborRows.map(row => ({ id: row.id, name: row.name, gender: row.gender }));
-    }
-
-    const edges = relations.map(r => ({
-      id: r.id,
-      from: r.from_person_id,
-      to: r.to_person_id,
-      source: r.source || ''
-    }));
-
-    res.json({
-      success: true,
-      person: {
-        id: person.id,
-        name: person.name,
-        description: person.description || '',
-        gender: person.gender
-      },
-      degree: edges.length,
-      neighbors,
-      edges,
-      timestamp: new Date().toISOString()
-    });
+    
+    const date = new Date(loaded.snapshot.createdAt).toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="snapshot-${snapshotId}-${date}.json"`);
+    res.send(JSON.stringify(loaded.data));
   } catch (error) {
-    console.error('查詢人物關係狀態(參數版)錯誤:', error);
+    console.error('下載快照錯誤:', error);
     res.status(500).json({
-      error: '無法查詢人物關係狀態',
+      error: '無法下載快照',
       message: '伺服器內部錯誤，請稍後再試',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// POST /api/addNode - 新增人物
-app.post('/api/addNode', 
-  rateLimit(60000, 30), // 每分鐘最多 30 次新增
-  requireApiKey,
+// POST /api/admin/snapshots/:id/restore - 還原快照（限 owner）
+// 未帶 confirmToken 時只回傳差異預覽與確認碼；帶上預覽時的 confirmToken 才會在交易中實際還原
+app.post('/api/admin/snapshots/:id/restore',
+  requireAdminSession,
+  requireAdminRole('owner'),
+  rateLimit(60000, 10), // 每分鐘最多 10 次
   validateInput({
-    required: ['name'],
-    types: { name: 'string', description: 'string', gender: 'string' },
-    maxLength: { name: 100, description: 500 }
+    types: { confirmToken: 'string' },
+    maxLength: { confirmToken: 64 }
   }),
   async (req, res) => {
     try {
-      const { name, description = '', gender = 'unknown' } = req.body;
-      
-      const cleanName = sanitizeInput(name);
-      const cleanDescription = sanitizeInput(description);
+      const snapshotId = validateId(req.params.id);
+      const loaded = await loadSnapshot(snapshotId);
       
-      // 驗證性別參數
-      const validGenders = ['male', 'female', 'femboy', 'unknown'];
-      const cleanGender = validGenders.includes(gender) ? gender : 'unknown';
-      
-      if (!validGenders.includes(gender)) {
-        console.log(`性別參數無效: ${gender}，使用預設值 'unknown'`);
+      if (!loaded) {
+        return res.status(404).json({
+          error: '快照不存在',
+          message: `找不到 ID 為 ${snapshotId} 的快照`,
+          timestamp: new Date().toISOString()
+        });
       }
       
-      // 檢查是否已存在相同名稱
-      const existingPersons = await queryDatabase('SELECT id FROM persons WHERE name = ?', [cleanName]);
-      
-      if (existingPersons.length > 0) {
-        return res.status(409).json({
-          error: '人物已存在',
-          message: `名稱「${cleanName}」已被使用`,
+      const errors = validateSnapshotData(loaded.data);
+      if (errors.length > 0) {
+        return res.status(422).json({
+          error: '快照無法還原',
+          details: errors,
           timestamp: new Date().toISOString()
         });
       }
       
-      const result = await queryDatabase('INSERT INTO persons (name, description, gender) VALUES (?, ?, ?)', [cleanName, cleanDescription, cleanGender]);
-      
-      console.log('新增人物成功:', { id: result.insertId, name: cleanName, gender: cleanGender });
-      
-      res.json({
-        success: true,
-        id: result.insertId,
-        name: cleanName,
-        description: cleanDescription,
-        gender: cleanGender,
-        message: '人物新增成功',
-        timestamp: new Date().toISOString()
-      });
-      
-    } catch (error) {
-      console.error('新增人物錯誤:', error);
-      res.status(500).json({
-        error: '無法新增人物',
-        message: '伺服器內部錯誤，請稍後再試',
-        timestamp: new Date().toISOString()
-      });
-    }
-  }
-);
-
-// POST /api/addEdge - 新增或更新關係 (Upsert)
-app.post('/api/addEdge', 
-  rateLimit(60000, 50), // 每分鐘最多 50 次操作
-  requireApiKey,
-  validateInput({
-    required: ['from', 'to'],
-    types: { from: 'string', to: 'string', source: 'string' },
-    numberRange: { from: { min: 1, max: 2147483647 }, to: { min: 1, max: 2147483647 } },
-    maxLength: { source: 500 }
-  }),
-  async (req, res) => {
-    try {
-      const { from, to, source = '' } = req.body;
-      
-      const fromId = validateId(from);
-      const toId = validateId(to);
-      const cleanSource = sanitizeInput(source);
+      const current = await collectSnapshotData();
+      const confirmToken = snapshotConfirmToken(snapshotId, snapshotChecksum(current.tables));
+      const preview = {
+        snapshot: loaded.snapshot,
+        diff: diffSnapshotData(current, loaded.data),
+        confirmToken
+      };
       
-      if (fromId === toId) {
-        return res.status(400).json({
-          error: '無效的關係',
-          message: '不能建立自己與自己的關係',
+      if (!req.body.confirmToken) {
+        return res.json({
+          success: true,
+          dryRun: true,
+          ...preview,
+          message: '預覽：確認差異後帶上 confirmToken 再送出一次即可還原',
           timestamp: new Date().toISOString()
         });
       }
       
-      // 檢查人物是否存在
-      const [fromExists, toExists] = await Promise.all([
-        queryDatabase('SELECT id FROM persons WHERE id = ?', [fromId]),
-        queryDatabase('SELECT id FROM persons WHERE id = ?', [toId])
-      ]);
-      
-      if (fromExists.length === 0) {
-        return res.status(404).json({
-          error: '人物不存在',
-          message: `找不到 ID 為 ${fromId} 的人物`,
+      if (!safeEqual(req.body.confirmToken, confirmToken)) {
+        return res.status(409).json({
+          error: '資料已變動',
+          message: '預覽後資料已有變動，請確認新的差異後重新送出',
+          ...preview,
           timestamp: new Date().toISOString()
         });
       }
       
-      if (toExists.length === 0) {
-        return res.status(404).json({
-          error: '人物不存在',
-          message: `找不到 ID 為 ${toId} 的人物`,
+      // 還原前先自動備份目前資料，與還原在同一個交易內完成
+      const backup = await withTransaction(async (query) => {
+        const latest = await collectSnapshotData(query);
+        if (snapshotConfirmToken(snapshotId, snapshotChecksum(latest.tables)) !== confirmToken) {
+          return null;
+        }
+        const saved = await saveSnapshot(query, latest, {
+          label: `還原快照 #${snapshotId} 前的自動備份`,
+          trigger: 'pre_restore',
+          createdBy: req.adminUser
+        });
+        await restoreSnapshotData(query, loaded.data);
+        return saved;
+      });
+      
+      if (!backup) {
+        return res.status(409).json({
+          error: '資料已變動',
+          message: '預覽後資料已有變動，請重新預覽',
           timestamp: new Date().toISOString()
         });
       }
       
-      // 檢查關係是否已存在（雙向檢查）
-      const existingRelations = await queryDatabase(
-        'SELECT id FROM relations WHERE (from_person_id = ? AND to_person_id = ?) OR (from_person_id = ? AND to_person_id = ?)',
-        [fromId, toId, toId, fromId]
-      );
-      
-      let result;
-      let action;
-      let relationId;
-      
-      if (existingRelations.length > 0) {
-        // 關係已存在 → 更新 (直接覆蓋)
-        const existingRelation = existingRelations[0];
-        relationId = existingRelation.id;
-        
-        result = await queryDatabase(
-          'UPDATE relations SET source = ? WHERE id = ?',
-          [cleanSource, relationId]
-        );
-        
-        action = 'updated';
-        console.log('更新關係成功:', { id: relationId, from: fromId, to: toId, source: cleanSource });
-        
-      } else {
-        // 關係不存在 → 新增
-        result = await queryDatabase(
-          'INSERT INTO relations (from_person_id, to_person_id, source) VALUES (?, ?, ?)', 
-          [fromId, toId, cleanSource]
-        );
-        
-        relationId = result.insertId;
-        action = 'created';
-        console.log('新增關係成功:', { id: relationId, from: fromId, to: toId, source: cleanSource });
-      }
+      await bumpGraphVersion();
+      console.log('還原快照成功:', { id: snapshotId, backup: backup.id, by: req.adminUser });
+      await recordAudit(req, 'snapshot.restore', {
+        entityType: 'snapshot',
+        entityId: snapshotId,
+        before: { backupSnapshotId: backup.id, counts: backup.counts },
+        after: { snapshot: loaded.snapshot, diff: Object.fromEntries(
+          Object.entries(preview.diff).map(([table, { added, removed, changed }]) => [table, { added, removed, changed }])
+        ) }
+      });
+      pruneSnapshots().catch(error => console.error('清理快照失敗:', error.message));
       
       res.json({
         success: true,
-        id: relationId,
-        from: fromId,
-        to: toId,
-        source: cleanSource,
-        action: action,
-        message: action === 'created' ? '關係新增成功' : '關係更新成功',
+        dryRun: false,
+        snapshot: loaded.snapshot,
+        backup,
+        diff: preview.diff,
+        message: `已還原快照 #${snapshotId}，還原前的資料已備份為快照 #${backup.id}`,
         timestamp: new Date().toISOString()
       });
-      
     } catch (error) {
-      console.error('新增/更新關係錯誤:', error);
+      console.error('還原快照錯誤:', error);
       res.status(500).json({
-        error: '無法處理關係',
+        error: '無法還原快照',
         message: '伺服器內部錯誤，請稍後再試',
         timestamp: new Date().toISOString()
       });
@@ -1067,60 +7205,43 @@ app.post('/api/addEdge',
   }
 );
 
-// PUT /api/updateEdge - 更新關係（只更新 source）- 管理後台專用
-app.put('/api/updateEdge',
-  requireAdminSession, // 使用 Session 驗證，不是 API Key
-  rateLimit(60000, 50), // 每分鐘最多 50 次更新
-  validateInput({
-    required: ['from', 'to'],
-    types: { from: 'string', to: 'string', source: 'string' },
-    numberRange: { from: { min: 1, max: 2147483647 }, to: { min: 1, max: 2147483647 } },
-    maxLength: { source: 500 }
-  }),
+// DELETE /api/admin/snapshots/:id - 刪除快照（限 owner）
+app.delete('/api/admin/snapshots/:id',
+  requireAdminSession,
+  requireAdminRole('owner'),
   async (req, res) => {
     try {
-      const { from, to, source = '' } = req.body;
-      
-      const fromId = validateId(from);
-      const toId = validateId(to);
-      const cleanSource = sanitizeInput(source);
-      
-      if (fromId === toId) {
-        return res.status(400).json({
-          error: '無效的操作',
-          message: '不能更新自己與自己的關係',
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      // 更新關係的 source（雙向查詢）
-      const updateQuery = 'UPDATE relations SET source = ? WHERE (from_person_id = ? AND to_person_id = ?) OR (from_person_id = ? AND to_person_id = ?)';
-      const result = await queryDatabase(updateQuery, [cleanSource, fromId, toId, toId, fromId]);
+      const snapshotId = validateId(req.params.id);
+      const rows = await queryDatabase(
+        `SELECT id, label, trigger_type, format_version, created_by, person_count, relation_count, background_count, checksum, size_bytes, created_at
+          FROM snapshots WHERE id = ?`,
+        [snapshotId]
+      );
       
-      if (result.affectedRows === 0) {
+      if (rows.length === 0) {
         return res.status(404).json({
-          error: '找不到指定的關係',
-          message: `人物 ${fromId} 和 ${toId} 之間沒有關係`,
+          error: '快照不存在',
+          message: `找不到 ID 為 ${snapshotId} 的快照`,
           timestamp: new Date().toISOString()
         });
       }
       
-      console.log('更新關係成功:', { from: fromId, to: toId, source: cleanSource });
+      await queryDatabase('DELETE FROM snapshots WHERE id = ?', [snapshotId]);
+      const removed = formatSnapshot(rows[0]);
+      
+      console.log('刪除快照成功:', { id: snapshotId, by: req.adminUser });
+      await recordAudit(req, 'snapshot.delete', { entityType: 'snapshot', entityId: snapshotId, before: removed });
       
       res.json({
         success: true,
-        updatedRows: result.affectedRows,
-        from: fromId,
-        to: toId,
-        source: cleanSource,
-        message: '關係更新成功',
+        snapshot: removed,
+        message: `快照 #${snapshotId} 已刪除`,
         timestamp: new Date().toISOString()
       });
-      
     } catch (error) {
-      console.error('更新關係錯誤:', error);
+      console.error('刪除快照錯誤:', error);
       res.status(500).json({
-        error: '無法更新關係',
+        error: '無法刪除快照',
         message: '伺服器內部錯誤，請稍後再試',
         timestamp: new Date().toISOString()
       });
@@ -1128,134 +7249,779 @@ app.put('/api/updateEdge',
   }
 );
 
-// DELETE /api/deleteEdge - 刪除關係
-app.delete('/api/deleteEdge', 
-  rateLimit(60000, 20), // 每分鐘最多 20 次刪除
-  requireApiKey,
-  validateInput({
-    required: ['from', 'to'],
-    types: { from: 'string', to: 'string' },
-    numberRange: { from: { min: 1, max: 2147483647 }, to: { min: 1, max: 2147483647 } }
-  }),
+// ==================== 垃圾桶 ====================
+
+// 可還原 / 永久刪除的資料種類；背景以 person_id 作為 ID
+const TRASH_KINDS = ['persons', 'relations', 'backgrounds'];
+
+// 檢查兩人之間是否已有未刪除的關係（還原關係前避免重複）
+async function hasLiveRelation(query, personA, personB) {
+  const rows = await query(
+    `SELECT id FROM relations
+      WHERE ((from_person_id = ? AND to_person_id = ?) OR (from_person_id = ? AND to_person_id = ?)) AND deleted_at IS NULL`,
+    [personA, personB, personB, personA]
+  );
+  return rows.length > 0;
+}
+
+// 在交易中還原一筆資料；失敗時回傳 { status, message }
+async function restoreFromTrash(query, kind, id) {
+  if (kind === 'relations') {
+    const rows = await query(
+      `SELECT r.id, r.from_person_id, r.to_person_id, r.source, r.deleted_at,
+          pf.deleted_at AS from_deleted_at, pt.deleted_at AS to_deleted_at
+        FROM relations r
+        JOIN persons pf ON pf.id = r.from_person_id
+        JOIN persons pt ON pt.id = r.to_person_id
+        WHERE r.id = ? AND r.deleted_at IS NOT NULL FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      return { status: 404, message: `垃圾桶中找不到 ID 為 ${id} 的關係` };
+    }
+    
+    const relation = rows[0];
+    if (relation.from_deleted_at !== null || relation.to_deleted_at !== null) {
+      return { status: 409, message: '關係的其中一方人物已被刪除，請先還原人物' };
+    }
+    if (await hasLiveRelation(query, relation.from_person_id, relation.to_person_id)) {
+      return { status: 409, message: `人物 ${relation.from_person_id} 和 ${relation.to_person_id} 之間已有新的關係` };
+    }
+    
+    await query('UPDATE relations SET deleted_at = NULL, deleted_with_person_id = NULL WHERE id = ?', [id]);
+    return {
+      restored: { relations: [{ id: relation.id, from: relation.from_person_id, to: relation.to_person_id, source: relation.source || '' }] }
+    };
+  }
+  
+  if (kind === 'backgrounds') {
+    const rows = await query(
+      `SELECT b.person_id, b.birth_year, b.body, p.deleted_at AS person_deleted_at
+        FROM person_backgrounds b JOIN persons p ON p.id = b.person_id
+        WHERE b.person_id = ? AND b.deleted_at IS NOT NULL FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      return { status: 404, message: `垃圾桶中找不到人物 ${id} 的背景` };
+    }
+    if (rows[0].person_deleted_at !== null) {
+      return { status: 409, message: '人物已被刪除，請先還原人物' };
+    }
+    
+    await query('UPDATE person_backgrounds SET deleted_at = NULL, deleted_with_person_id = NULL WHERE person_id = ?', [id]);
+    const { person_deleted_at, ...background } = rows[0];
+    return { restored: { backgrounds: [background] } };
+  }
+  
+  // persons：一併還原隨此人物刪除的關係與背景（deleted_with_person_id）
+  const personRows = await query(
+    'SELECT id, name, description, gender, deleted_at FROM persons WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE',
+    [id]
+  );
+  if (personRows.length === 0) {
+    return { status: 404, message: `垃圾桶中找不到 ID 為 ${id} 的人物` };
+  }
+  
+  const person = personRows[0];
+  const duplicates = await query('SELECT id FROM persons WHERE name = ? AND id <> ? AND deleted_at IS NULL', [person.name, id]);
+  if (duplicates.length > 0) {
+    return { status: 409, message: `名稱「${person.name}」已被其他人物使用，請先改名或合併` };
+  }
+  
+  await query('UPDATE persons SET deleted_at = NULL WHERE id = ?', [id]);
+  
+  const relations = await query(
+    `SELECT r.id, r.from_person_id, r.to_person_id, r.source FROM relations r
+      JOIN persons pf ON pf.id = r.from_person_id AND pf.deleted_at IS NULL
+      JOIN persons pt ON pt.id = r.to_person_id AND pt.deleted_at IS NULL
+      WHERE (r.from_person_id = ? OR r.to_person_id = ?) AND r.deleted_at IS NOT NULL AND r.deleted_with_person_id = ?
+      ORDER BY r.id FOR UPDATE`,
+    [id, id, id]
+  );
+  
+  const restoredRelations = [];
+  for (const relation of relations) {
+    if (await hasLiveRelation(query, relation.from_person_id, relation.to_person_id)) continue;
+    await query('UPDATE relations SET deleted_at = NULL, deleted_with_person_id = NULL WHERE id = ?', [relation.id]);
+    restoredRelations.push({ id: relation.id, from: relation.from_person_id, to: relation.to_person_id, source: relation.source || '' });
+  }
+  
+  const background = await query(
+    'UPDATE person_backgrounds SET deleted_at = NULL, deleted_with_person_id = NULL WHERE person_id = ? AND deleted_at IS NOT NULL AND deleted_with_person_id = ?',
+    [id, id]
+  );
+  
+  return {
+    restored: {
+      persons: [{ id: person.id, name: person.name, description: person.description || '', gender: person.gender }],
+      relations: restoredRelations,
+      backgrounds: background.affectedRows > 0 ? [{ person_id: person.id }] : []
+    }
+  };
+}
+
+// 驗證垃圾桶路由參數，無效時直接回應 400
+function parseTrashParams(req, res) {
+  const { kind } = req.params;
+  if (!TRASH_KINDS.includes(kind)) {
+    res.status(400).json({
+      error: '輸入驗證失敗',
+      details: [`種類必須是 ${TRASH_KINDS.join('、')} 其中之一`],
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return { kind, id: validateId(req.params.id) };
+}
+
+// GET /api/admin/trash - 列出垃圾桶中的人物、關係與背景（管理員專用）
+app.get('/api/admin/trash', requireAdminSession, async (req, res) => {
+  try {
+    const [persons, relations, backgrounds] = await Promise.all([
+      queryDatabase('SELECT id, name, description, gender, deleted_at FROM persons WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, id'),
+      queryDatabase(
+        `SELECT r.id, r.from_person_id, r.to_person_id, r.source, r.deleted_at, rt.slug AS type,
+            pf.name AS from_name, pt.name AS to_name, pf.deleted_at AS from_deleted_at, pt.deleted_at AS to_deleted_at
+          FROM relations r
+          JOIN persons pf ON pf.id = r.from_person_id
+          JOIN persons pt ON pt.id = r.to_person_id
+          LEFT JOIN relation_types rt ON rt.id = r.type_id
+          WHERE r.deleted_at IS NOT NULL ORDER BY r.deleted_at DESC, r.id`
+      ),
+      queryDatabase(
+        `SELECT b.person_id, b.birth_year, b.body, b.deleted_at, p.name AS person_name, p.deleted_at AS person_deleted_at
+          FROM person_backgrounds b JOIN persons p ON p.id = b.person_id
+          WHERE b.deleted_at IS NOT NULL ORDER BY b.deleted_at DESC, b.person_id`
+      )
+    ]);
+    
+    res.json({
+      success: true,
+      persons: persons.map(p => ({
+        id: p.id,
+        name: p.name,
+        description: p.description || '',
+        gender: p.gender,
+        deletedAt: p.deleted_at
+      })),
+      relations: relations.map(r => ({
+        id: r.id,
+        from: r.from_person_id,
+        to: r.to_person_id,
+        fromName: r.from_name,
+        toName: r.to_name,
+        type: r.type || null,
+        source: r.source || '',
+        deletedAt: r.deleted_at,
+        // 任一方人物也在垃圾桶時，需先還原人物
+        personDeleted: r.from_deleted_at !== null || r.to_deleted_at !== null
+      })),
+      backgrounds: backgrounds.map(b => ({
+        personId: b.person_id,
+        personName: b.person_name,
+        birth_year: b.birth_year || null,
+        body: b.body || '',
+        deletedAt: b.deleted_at,
+        personDeleted: b.person_deleted_at !== null
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('查詢垃圾桶錯誤:', error);
+    res.status(500).json({
+      error: '無法查詢垃圾桶',
+      message: '伺服器內部錯誤，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/trash/:kind/:id/restore - 從垃圾桶還原（editor 以上）
+app.post('/api/admin/trash/:kind/:id/restore',
+  requireAdminSession,
+  requireAdminRole('editor'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次還原
   async (req, res) => {
     try {
-      const { from, to } = req.body;
+      const params = parseTrashParams(req, res);
+      if (!params) return;
       
-      const fromId = validateId(from);
-      const toId = validateId(to);
+      const result = await withTransaction(query => restoreFromTrash(query, params.kind, params.id));
       
-      if (fromId === toId) {
-        return res.status(400).json({ 
-          error: '無效的操作',
-          message: '不能刪除自己與自己的關係',
+      if (result.status) {
+        return res.status(result.status).json({
+          error: result.status === 404 ? '找不到資料' : '無法還原',
+          message: result.message,
           timestamp: new Date().toISOString()
         });
       }
       
-      // 透過人物 ID 組合刪除（雙向查詢）
-      const deleteQuery = 'DELETE FROM relations WHERE (from_person_id = ? AND to_person_id = ?) OR (from_person_id = ? AND to_person_id = ?)';
-      const result = await queryDatabase(deleteQuery, [fromId, toId, toId, fromId]);
+      await bumpGraphVersion();
+      console.log('從垃圾桶還原成功:', { kind: params.kind, id: params.id, by: req.adminUser });
+      await recordAudit(req, 'trash.restore', { entityType: params.kind, entityId: params.id, after: result.restored });
       
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ 
-          error: '找不到指定的關係',
-          message: `人物 ${fromId} 和 ${toId} 之間沒有關係`,
+      res.json({
+        success: true,
+        kind: params.kind,
+        restored: result.restored,
+        message: '還原成功',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('還原資料錯誤:', error);
+      res.status(500).json({
+        error: '無法還原資料',
+        message: '伺服器內部錯誤，請稍後再試',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// DELETE /api/admin/trash/:kind/:id - 永久刪除垃圾桶中的資料（限 owner，無法復原）
+app.delete('/api/admin/trash/:kind/:id',
+  requireAdminSession,
+  requireAdminRole('owner'),
+  rateLimit(60000, 30), // 每分鐘最多 30 次永久刪除
+  async (req, res) => {
+    try {
+      const params = parseTrashParams(req, res);
+      if (!params) return;
+      
+      const { kind, id } = params;
+      const purged = await withTransaction(async (query) => {
+        const selectSql = {
+          persons: 'SELECT id, name, description, gender, deleted_at FROM persons WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE',
+          relations: 'SELECT id, from_person_id, to_person_id, type_id, source, deleted_at FROM relations WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE',
+          backgrounds: 'SELECT person_id, birth_year, body, deleted_at FROM person_backgrounds WHERE person_id = ? AND deleted_at IS NOT NULL FOR UPDATE'
+        }[kind];
+        
+        const rows = await query(selectSql, [id]);
+        if (rows.length === 0) {
+          return null;
+        }
+        
+        // 人物的關係、關係歷程與背景會透過外鍵 ON DELETE CASCADE 一併刪除
+        const deleteSql = {
+          persons: 'DELETE FROM persons WHERE id = ?',
+          relations: 'DELETE FROM relations WHERE id = ?',
+          backgrounds: 'DELETE FROM person_backgrounds WHERE person_id = ?'
+        }[kind];
+        await query(deleteSql, [id]);
+        
+        return rows[0];
+      });
+      
+      if (!purged) {
+        return res.status(404).json({
+          error: '找不到資料',
+          message: `垃圾桶中找不到 ID 為 ${id} 的資料`,
           timestamp: new Date().toISOString()
         });
       }
       
+      // 永久刪除會改變時間點查詢與成長時間軸的結果，快取需要失效
+      await bumpGraphVersion();
+      console.log('永久刪除成功:', { kind, id, by: req.adminUser });
+      await recordAudit(req, 'trash.purge', { entityType: kind, entityId: id, before: purged });
+      
       res.json({
         success: true,
-        deletedRows: result.affectedRows,
-        message: '關係刪除成功',
+        kind,
+        purged,
+        message: '已永久刪除',
         timestamp: new Date().toISOString()
       });
-      
     } catch (error) {
-      console.error('刪除關係錯誤:', error);
-      res.status(500).json({ 
-        error: '無法刪除關係',
+      console.error('永久刪除錯誤:', error);
+      res.status(500).json({
+        error: '無法永久刪除資料',
         message: '伺服器內部錯誤，請稍後再試',
         timestamp: new Date().toISOString()
       });
     }
   }
-);
+);
+
+// ==================== Puppeteer 瀏覽器池 ====================
+
+const renderConfig = config.render || {};
+
+// 圖片渲染逾時（毫秒），避免腳本載入失敗時請求永遠卡住
+const RENDER_TIMEOUT = parseInt(renderConfig.timeout || 30000);
+// 同時渲染的頁面數量
+const RENDER_POOL_SIZE = Math.max(1, parseInt(renderConfig.poolSize || 2));
+// 排隊等待的最大請求數，超過直接回傳 503
+const RENDER_QUEUE_LIMIT = Math.max(0, parseInt(renderConfig.queueLimit || 20));
+
+const renderPool = {
+  browser: null,        // 常駐的瀏覽器實例
+  launching: null,      // 啟動中的 Promise，避免同時啟動多個瀏覽器
+  idlePages: [],        // 可重複使用的閒置頁面
+  busyCount: 0,         // 正在渲染的頁面數
+  availableSlots: RENDER_POOL_SIZE,
+  waitQueue: [],        // 等待空位的請求
+  shuttingDown: false
+};
+
+const renderMetrics = {
+  totalRenders: 0,
+  failedRenders: 0,
+  timeouts: 0,
+  rejected: 0,
+  browserLaunches: 0,
+  browserCrashes: 0,
+  totalRenderMs: 0,
+  maxRenderMs: 0,
+  lastRenderMs: 0,
+  totalQueueWaitMs: 0,
+  maxQueueWaitMs: 0
+};
+
+// 產生帶有 code 的渲染錯誤，方便端點判斷回應狀態碼
+function createRenderError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// 取得（必要時啟動）常駐瀏覽器，崩潰後會在下次使用時重新啟動
+async function getRenderBrowser() {
+  if (renderPool.browser && renderPool.browser.connected) {
+    return renderPool.browser;
+  }
+  
+  if (!renderPool.launching) {
+    renderPool.launching = puppeteer.launch({
+      headless: "new",
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-software-rasterizer',
+        '--disable-extensions'
+      ]
+    }).then(browser => {
+      renderMetrics.browserLaunches++;
+      console.log('渲染瀏覽器已啟動');
+      
+      browser.on('disconnected', () => {
+        if (renderPool.browser !== browser) return;
+        
+        renderPool.browser = null;
+        renderPool.idlePages = [];
+        
+        if (!renderPool.shuttingDown) {
+          renderMetrics.browserCrashes++;
+          console.error('渲染瀏覽器連線中斷，將於下次渲染時重新啟動');
+        }
+      });
+      
+      renderPool.browser = browser;
+      return browser;
+    }).finally(() => {
+      renderPool.launching = null;
+    });
+  }
+  
+  return renderPool.launching;
+}
+
+// 建立新的渲染頁面
+async function createRenderPage() {
+  const browser = await getRenderBrowser();
+  const page = await browser.newPage();
+  
+  await page.setViewport({
+    width: 2000,
+    height: 2000,
+    deviceScaleFactor: 2  // 設定 2x 縮放比例,提高截圖品質
+  });
+  
+  // 禁用不必要的功能加快速度
+  await page.setRequestInterception(true);
+  page.on('request', (req) => {
+    if (['image', 'stylesheet', 'font'].includes(req.resourceType())) {
+      req.abort();
+    } else {
+      req.continue();
+    }
+  });
+  
+  page.on('error', (err) => {
+    console.error('渲染頁面崩潰:', err.message);
+    page.close().catch(() => {});
+  });
+  
+  return page;
+}
+
+// 等待渲染空位
+function acquireRenderSlot() {
+  if (renderPool.shuttingDown) {
+    return Promise.reject(createRenderError('RENDER_SHUTTING_DOWN', '伺服器正在關閉'));
+  }
+  
+  if (renderPool.availableSlots > 0) {
+    renderPool.availableSlots--;
+    return Promise.resolve();
+  }
+  
+  if (renderPool.waitQueue.length >= RENDER_QUEUE_LIMIT) {
+    renderMetrics.rejected++;
+    return Promise.reject(createRenderError('RENDER_QUEUE_FULL', '圖片生成佇列已滿'));
+  }
+  
+  return new Promise((resolve, reject) => {
+    const entry = { resolve, reject };
+    entry.timer = setTimeout(() => {
+      const index = renderPool.waitQueue.indexOf(entry);
+      if (index !== -1) {
+        renderPool.waitQueue.splice(index, 1);
+      }
+      renderMetrics.timeouts++;
+      reject(createRenderError('RENDER_QUEUE_TIMEOUT', '等待圖片生成空位逾時'));
+    }, RENDER_TIMEOUT);
+    renderPool.waitQueue.push(entry);
+  });
+}
+
+// 釋放渲染空位，交給下一個排隊中的請求
+function releaseRenderSlot() {
+  const next = renderPool.waitQueue.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    renderPool.availableSlots++;
+  }
+}
+
+// 從池中取得頁面執行 task，失敗的頁面會被關閉而不放回池中
+async function withRenderPage(task) {
+  const queuedAt = Date.now();
+  await acquireRenderSlot();
+  
+  const waitMs = Date.now() - queuedAt;
+  renderMetrics.totalQueueWaitMs += waitMs;
+  renderMetrics.maxQueueWaitMs = Math.max(renderMetrics.maxQueueWaitMs, waitMs);
+  
+  const startTime = Date.now();
+  let page = null;
+  let healthy = false;
+  renderPool.busyCount++;
+  
+  try {
+    while (renderPool.idlePages.length > 0 && !page) {
+      const candidate = renderPool.idlePages.pop();
+      if (!candidate.isClosed()) {
+        page = candidate;
+      }
+    }
+    
+    if (!page) {
+      page = await createRenderPage();
+    }
+    
+    const result = await task(page);
+    healthy = true;
+    return result;
+  } catch (error) {
+    renderMetrics.failedRenders++;
+    if (error instanceof puppeteer.TimeoutError) {
+      renderMetrics.timeouts++;
+    }
+    throw error;
+  } finally {
+    const duration = Date.now() - startTime;
+    renderMetrics.totalRenders++;
+    renderMetrics.totalRenderMs += duration;
+    renderMetrics.lastRenderMs = duration;
+    renderMetrics.maxRenderMs = Math.max(renderMetrics.maxRenderMs, duration);
+    renderPool.busyCount--;
+    
+    if (page) {
+      const reusable = healthy && !page.isClosed() && renderPool.browser && page.browser() === renderPool.browser;
+      if (reusable) {
+        renderPool.idlePages.push(page);
+      } else {
+        page.close().catch(() => {});
+      }
+    }
+    
+    releaseRenderSlot();
+  }
+}
+
+// 載入圖表 HTML 並等待渲染完成（頁面需在完成時設定 window.renderComplete = true）
+async function loadChartPage(page, htmlContent) {
+  await page.setContent(htmlContent, { timeout: RENDER_TIMEOUT });
+  
+  // 確認 ECharts 已成功載入，否則不必等到逾時
+  const echartsLoaded = await page.evaluate(() => typeof window.echarts !== 'undefined');
+  if (!echartsLoaded) {
+    throw new Error('ECharts 載入失敗');
+  }
+  
+  // 等待 ECharts 渲染完成
+  await page.waitForFunction(() => window.renderComplete === true, { timeout: RENDER_TIMEOUT });
+}
+
+// 將 HTML 渲染成 PNG
+function renderHtmlToPng(htmlContent) {
+  return withRenderPage(async (page) => {
+    await loadChartPage(page, htmlContent);
+    
+    return page.screenshot({
+      type: 'png',
+      fullPage: true
+    });
+  });
+}
+
+// 關閉瀏覽器池：拒絕排隊中的請求，等待進行中的渲染結束後關閉瀏覽器
+async function closeRenderPool() {
+  renderPool.shuttingDown = true;
+  
+  while (renderPool.waitQueue.length > 0) {
+    const entry = renderPool.waitQueue.shift();
+    clearTimeout(entry.timer);
+    entry.reject(createRenderError('RENDER_SHUTTING_DOWN', '伺服器正在關閉'));
+  }
+  
+  const deadline = Date.now() + RENDER_TIMEOUT;
+  while (renderPool.busyCount > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  
+  if (renderPool.launching) {
+    await renderPool.launching.catch(() => {});
+  }
+  
+  if (renderPool.browser) {
+    const browser = renderPool.browser;
+    renderPool.browser = null;
+    renderPool.idlePages = [];
+    await browser.close().catch(err => console.error('關閉瀏覽器失敗:', err.message));
+  }
+}
+
+// 圖片渲染錯誤回應
+function sendRenderError(res, error) {
+  if (error.code === 'RENDER_INVALID_PARAMS') {
+    return res.status(400).json({
+      error: '參數錯誤',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (error.code === 'RENDER_PERSON_NOT_FOUND' || error.code === 'RENDER_PATH_NOT_FOUND') {
+    return res.status(404).json({
+      error: error.code === 'RENDER_PATH_NOT_FOUND' ? '找不到路徑' : '人物不存在',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // RENDER_ABORTED：共用同一次渲染的其他請求已斷線而中止
+  if (error.code === 'RENDER_QUEUE_FULL' || error.code === 'RENDER_SHUTTING_DOWN' || error.code === 'RENDER_ABORTED') {
+    res.setHeader('Retry-After', Math.ceil(RENDER_TIMEOUT / 1000));
+    return res.status(503).json({
+      error: '圖片生成忙碌中',
+      message: error.message + '，請稍後再試',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (error.code === 'RENDER_DEADLINE') {
+    return res.status(504).json({
+      error: '圖片生成逾時',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (error.code === 'RENDER_QUEUE_TIMEOUT' || error instanceof puppeteer.TimeoutError) {
+    return res.status(504).json({
+      error: '圖片生成逾時',
+      message: `渲染超過 ${RENDER_TIMEOUT / 1000} 秒仍未完成，請稍後再試`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(500).json({ error: '無法生成圖片: ' + error.message });
+}
 
-// 使用 ECharts 生成 PNG 圖片端點
-app.get('/custom.png', async (req, res) => {
-  // 移除超時限制
-  req.setTimeout(0);
-  res.setTimeout(0);
-  try {
-    console.log('使用 ECharts 生成 PNG 圖片...');
+// GET /api/render/metrics - 瀏覽器池狀態與渲染統計
+app.get('/api/render/metrics', requireReadAccess('render'), (req, res) => {
+  const completed = renderMetrics.totalRenders;
+  
+  res.json({
+    success: true,
+    pool: {
+      size: RENDER_POOL_SIZE,
+      busy: renderPool.busyCount,
+      idle: renderPool.idlePages.length,
+      queueDepth: renderPool.waitQueue.length,
+      queueLimit: RENDER_QUEUE_LIMIT,
+      browserConnected: Boolean(renderPool.browser && renderPool.browser.connected)
+    },
+    metrics: {
+      ...renderMetrics,
+      averageRenderMs: completed > 0 ? Math.round(renderMetrics.totalRenderMs / completed) : 0,
+      averageQueueWaitMs: completed > 0 ? Math.round(renderMetrics.totalQueueWaitMs / completed) : 0
+    },
+    cache: {
+      graphVersion,
+      size: renderCache.size,
+      limit: RENDER_CACHE_SIZE,
+      bytes: renderCacheBytes,
+      maxBytes: RENDER_CACHE_MAX_BYTES,
+      pending: pendingRenders.size,
+      ...renderCacheStats
+    },
+    timestamp: new Date().toISOString()
+  });
+});
 
-    // 取得參數 (無限制)
-    const lineWidth = parseInt(req.query.width) || 2;  // 預設粗細為 2
-    const nodeSize = parseInt(req.query.nodesize) || 40;  // 預設節點大小為 40
-    const fontSize = parseInt(req.query.fontsize) || Math.max(14, Math.floor(nodeSize / 2.5));
-    const opacity = parseFloat(req.query.opacity) || 0.8;  // 預設透明度為 0.8
+// ==================== 圖片快取 ====================
 
-    console.log(`使用線條粗細: ${lineWidth}px, 節點大小: ${nodeSize}px, 透明度: ${opacity}`);
+// 快取的圖片數量上限（依渲染參數組合計算）
+const RENDER_CACHE_SIZE = Math.max(0, parseInt(renderConfig.cacheSize || 50));
+// 快取內容的總大小上限（成長動畫的 ZIP 可能有數十 MB）
+const RENDER_CACHE_MAX_BYTES = Math.max(0, parseInt(renderConfig.cacheMaxBytes || 200 * 1024 * 1024));
 
-    // 取得圖表資料
-    const [persons, relations] = await Promise.all([
-      queryDatabase('SELECT id, name FROM persons ORDER BY name'),
-      queryDatabase('SELECT id, from_person_id, to_person_id FROM relations ORDER BY id')
-    ]);
+const renderCache = new Map();     // key → { etag, image }，依使用順序排列（LRU）
+const pendingRenders = new Map();  // key → Promise，相同參數的並行請求共用同一次渲染
+const renderCacheStats = { hits: 0, misses: 0, notModified: 0 };
 
-    // 找出所有有連線的人物ID
-    const connectedPersonIds = new Set();
-    relations.forEach(relation => {
-      if (relation.from_person_id && relation.to_person_id) {
-        connectedPersonIds.add(relation.from_person_id.toString());
-        connectedPersonIds.add(relation.to_person_id.toString());
+let renderCacheBytes = 0;
+
+function clearRenderCache() {
+  renderCache.clear();
+  renderCacheBytes = 0;
+}
+
+// 依圖表版本與渲染參數計算快取 key 與 ETag（呼叫前先以 refreshGraphVersion 讀取最新版本）
+// 版本由所有伺服器共用，同一組參數在任何一台伺服器都得到相同的 ETag
+function getRenderCacheKey(params) {
+  const key = JSON.stringify({ version: graphVersion, ...params });
+  const etag = `"${graphVersion}-${crypto.createHash('sha1').update(key).digest('hex').substring(0, 16)}"`;
+  return { key, etag };
+}
+
+// 檢查 If-None-Match 是否符合目前的 ETag
+function isNotModified(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header) return false;
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+}
+
+// 取得快取圖片，沒有時呼叫 render 產生並存入快取
+async function getCachedRender(key, render) {
+  const cached = renderCache.get(key);
+  if (cached) {
+    renderCacheStats.hits++;
+    // 重新插入以更新 LRU 順序
+    renderCache.delete(key);
+    renderCache.set(key, cached);
+    return cached;
+  }
+  
+  if (pendingRenders.has(key)) {
+    return pendingRenders.get(key);
+  }
+  
+  renderCacheStats.misses++;
+  const version = graphVersion;
+  const promise = render().then(image => {
+    const entry = { image };
+    // 渲染期間資料已被修改、或單一結果就超過大小上限時不寫入快取
+    if (RENDER_CACHE_SIZE > 0 && version === graphVersion && image.length <= RENDER_CACHE_MAX_BYTES) {
+      renderCache.set(key, entry);
+      renderCacheBytes += image.length;
+      while (renderCache.size > RENDER_CACHE_SIZE || renderCacheBytes > RENDER_CACHE_MAX_BYTES) {
+        const oldestKey = renderCache.keys().next().value;
+        renderCacheBytes -= renderCache.get(oldestKey).image.length;
+        renderCache.delete(oldestKey);
       }
-    });
+    }
+    return entry;
+  }).finally(() => {
+    pendingRenders.delete(key);
+  });
+  
+  pendingRenders.set(key, promise);
+  return promise;
+}
 
-    // 只保留有連線的人物節點 - ECharts 格式
-    const nodes = persons
-      .filter(person => person.id && person.name && connectedPersonIds.has(person.id.toString()))
-      .map(person => ({
-        id: person.id.toString(),
-        name: person.name.toString(),
-        symbolSize: nodeSize,
-        itemStyle: {
-          color: '#77B55A',
-          borderColor: '#77B55A',
-          borderWidth: 2
-        },
-        label: {
-          show: true,
-          color: '#fff',
-          fontSize: fontSize,
-          fontWeight: 'bold',
-          textBorderColor: '#2d4a1f',
-          textBorderWidth: 2
-        }
-      }));
+// 讀取 ECharts 原始碼（只讀一次），直接注入 Puppeteer 頁面
+let echartsSource = null;
+function getEchartsSource() {
+  if (echartsSource === null) {
+    echartsSource = fs.readFileSync(ECHARTS_PATH, 'utf8');
+  }
+  return echartsSource;
+}
 
-    const links = relations
-      .filter(relation => relation.id && relation.from_person_id && relation.to_person_id)
-      .map(relation => ({
-        source: relation.from_person_id.toString(),
-        target: relation.to_person_id.toString(),
-        lineStyle: {
-          width: lineWidth,
-          color: `rgba(128, 128, 128, ${opacity})`,  // 灰色
-          curveness: 0  // 直線
-        }
-      }));
+// 預設節點顏色與中心人物的強調顏色
+const NODE_COLOR = '#77B55A';
+const HIGHLIGHT_COLOR = '#E67E22';
+
+// 轉換人物為 ECharts 節點（highlight 用於中心人物或路徑上的人物）
+function toChartNode(person, { nodeSize, fontSize, highlight = false }) {
+  const color = highlight ? HIGHLIGHT_COLOR : NODE_COLOR;
+  return {
+    id: person.id.toString(),
+    name: person.name.toString(),
+    symbolSize: highlight ? Math.round(nodeSize * 1.5) : nodeSize,
+    itemStyle: {
+      color: color,
+      borderColor: color,
+      borderWidth: 2
+    },
+    label: {
+      show: true,
+      color: '#fff',
+      fontSize: highlight ? Math.round(fontSize * 1.2) : fontSize,
+      fontWeight: 'bold',
+      textBorderColor: highlight ? '#7a3e0c' : '#2d4a1f',
+      textBorderWidth: 2
+    }
+  };
+}
+
+// 將 #RRGGBB 顏色轉成帶透明度的 rgba
+function hexToRgba(hex, opacity) {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+}
 
-    console.log(`節點數量: ${nodes.length}, 邊數量: ${links.length}`);
+// 轉換關係為 ECharts 連線（highlight 用於路徑上的關係，其餘依關係類型決定顏色與線條樣式）
+function toChartLink(relation, { lineWidth, opacity, highlight = false }) {
+  const typeColor = relation.type_color ? hexToRgba(relation.type_color, opacity) : null;
+  return {
+    source: relation.from_person_id.toString(),
+    target: relation.to_person_id.toString(),
+    lineStyle: {
+      width: highlight ? lineWidth * 3 : lineWidth,
+      color: highlight ? HIGHLIGHT_COLOR : (typeColor || `rgba(128, 128, 128, ${opacity})`),  // 未分類為灰色
+      type: relation.type_line_style || 'solid',
+      curveness: 0  // 直線
+    }
+  };
+}
 
-    // 生成 ECharts HTML
-    const htmlContent = `
+// 產生 Puppeteer 渲染用的 ECharts HTML
+function buildChartHtml(nodes, links) {
+  return `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
-    <script src="https://cdn.jsdelivr.net/npm/echarts@5.4.3/dist/echarts.min.js"></script>
+    <script>${getEchartsSource()}</script>
     <style>
         body { margin: 0; padding: 0; background: #ffffff; }
         #chart { width: 2000px; height: 2000px; }
@@ -1306,56 +8072,512 @@ app.get('/custom.png', async (req, res) => {
     </script>
 </body>
 </html>`;
+}
 
-    const browser = await puppeteer.launch({
-      headless: "new",
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-extensions'
-      ]
+// 使用 ECharts 生成 PNG 圖片端點（每分鐘最多 30 次，快取命中與 304 也會計數）
+app.get('/custom.png', requireReadAccess('render'), rateLimit(60000, 30), async (req, res) => {
+  // 移除 HTTP 層超時限制，改由 RENDER_TIMEOUT 控制渲染時間
+  req.setTimeout(0);
+  res.setTimeout(0);
+  try {
+    console.log('使用 ECharts 生成 PNG 圖片...');
+
+    // 取得參數 (無限制)
+    const lineWidth = parseInt(req.query.width) || 2;  // 預設粗細為 2
+    const nodeSize = parseInt(req.query.nodesize) || 40;  // 預設節點大小為 40
+    const fontSize = parseInt(req.query.fontsize) || Math.max(14, Math.floor(nodeSize / 2.5));
+    const opacity = parseFloat(req.query.opacity) || 0.8;  // 預設透明度為 0.8
+
+    // 個人關係網模式：只畫 center 周圍 depth 層內的人物
+    const centerId = req.query.center !== undefined ? validateId(req.query.center) : null;
+    const depth = centerId ? Math.min(Math.max(parseInt(req.query.depth) || 2, 1), 5) : null;
+
+    // 路徑模式：在圖上標示 from 到 to 的最短路徑
+    const pathFromId = req.query.from !== undefined ? validateId(req.query.from) : null;
+    const pathToId = req.query.to !== undefined ? validateId(req.query.to) : null;
+    const allPaths = pathFromId && pathToId ? (req.query.all === 'true' || req.query.all === '1') : null;
+
+    // 時間點模式：畫出 asOf 當下存在的人物與關係
+    const { errors: asOfErrors, asOf } = parseAsOfOption(req.query);
+    if (asOfErrors.length > 0) {
+      throw createRenderError('RENDER_INVALID_PARAMS', asOfErrors[0]);
+    }
+
+    console.log(`使用線條粗細: ${lineWidth}px, 節點大小: ${nodeSize}px, 透明度: ${opacity}`);
+
+    await refreshGraphVersion();
+    const { key: cacheKey, etag } = getRenderCacheKey({
+      lineWidth, nodeSize, fontSize, opacity, centerId, depth, pathFromId, pathToId, allPaths,
+      asOf: asOf ? asOf.toISOString() : null
     });
-    const page = await browser.newPage();
 
-    // 禁用不必要的功能加快速度
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-      if (['image', 'stylesheet', 'font'].includes(req.resourceType())) {
-        req.abort();
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=0, must-revalidate');
+    res.setHeader('X-Graph-Version', graphVersion);
+
+    if (isNotModified(req, etag)) {
+      renderCacheStats.notModified++;
+      return res.status(304).end();
+    }
+
+    const { image: screenshot } = await getCachedRender(cacheKey, async () => {
+      // 取得圖表資料
+      const personsAsOf = buildAsOfCondition(asOf);
+      const relationsAsOf = buildAsOfCondition(asOf, 'r');
+      const [persons, relations] = await Promise.all([
+        queryDatabase(`SELECT id, name FROM persons WHERE ${personsAsOf.condition} ORDER BY name`, personsAsOf.params),
+        queryDatabase(`SELECT r.id, r.from_person_id, r.to_person_id, rt.color AS type_color, rt.line_style AS type_line_style
+          FROM relations r LEFT JOIN relation_types rt ON rt.id = r.type_id WHERE ${relationsAsOf.condition} ORDER BY r.id`, relationsAsOf.params)
+      ]);
+
+      // 只保留兩端人物都存在的關係（時間點模式下人物可能還沒建立）
+      const existingPersonIds = new Set(persons.map(person => person.id));
+      const validRelations = relations.filter(relation =>
+        relation.id && existingPersonIds.has(relation.from_person_id) && existingPersonIds.has(relation.to_person_id)
+      );
+
+      // 決定要顯示的人物：個人關係網模式取 N 層內的人物，否則取所有有連線的人物
+      let visiblePersonIds;
+      if (centerId) {
+        if (!persons.some(person => person.id === centerId)) {
+          throw createRenderError('RENDER_PERSON_NOT_FOUND', `找不到 ID 為 ${centerId} 的人物`);
+        }
+        visiblePersonIds = new Set(collectNeighborhood(buildAdjacency(validRelations), centerId, depth).keys());
       } else {
-        req.continue();
+        visiblePersonIds = new Set();
+        validRelations.forEach(relation => {
+          visiblePersonIds.add(relation.from_person_id);
+          visiblePersonIds.add(relation.to_person_id);
+        });
       }
-    });
 
-    await page.setContent(htmlContent);
-    await page.setViewport({
-      width: 2000,
-      height: 2000,
-      deviceScaleFactor: 2  // 設定 2x 縮放比例,提高截圖品質
-    });
+      // 標示最短路徑上的人物與關係，並確保路徑一定會被畫出來
+      const highlightPersonIds = new Set(centerId ? [centerId] : []);
+      const highlightPairs = new Set();
+      if (pathFromId && pathToId) {
+        for (const id of [pathFromId, pathToId]) {
+          if (!persons.some(person => person.id === id)) {
+            throw createRenderError('RENDER_PERSON_NOT_FOUND', `找不到 ID 為 ${id} 的人物`);
+          }
+        }
 
-    // 等待 ECharts 渲染完成
-    await page.waitForFunction(() => window.renderComplete === true, { timeout: 0 });
+        const paths = findShortestPaths(buildAdjacency(validRelations), pathFromId, pathToId, { all: allPaths });
+        if (paths.length === 0) {
+          throw createRenderError('RENDER_PATH_NOT_FOUND', '找不到兩人之間的關係路徑');
+        }
 
-    const screenshot = await page.screenshot({
-      type: 'png',
-      fullPage: true
-    });
+        for (const path of paths) {
+          path.forEach((id, index) => {
+            highlightPersonIds.add(id);
+            visiblePersonIds.add(id);
+            if (index > 0) highlightPairs.add(relationPairKey(path[index - 1], id));
+          });
+        }
+      }
+
+      // 只保留要顯示的人物節點 - ECharts 格式
+      const nodes = persons
+        .filter(person => person.id && person.name && visiblePersonIds.has(person.id))
+        .map(person => toChartNode(person, { nodeSize, fontSize, highlight: highlightPersonIds.has(person.id) }));
+
+      const links = validRelations
+        .filter(relation => visiblePersonIds.has(relation.from_person_id) && visiblePersonIds.has(relation.to_person_id))
+        .map(relation => toChartLink(relation, {
+          lineWidth,
+          opacity,
+          highlight: highlightPairs.has(relationPairKey(relation.from_person_id, relation.to_person_id))
+        }));
+
+      console.log(`節點數量: ${nodes.length}, 邊數量: ${links.length}`);
 
-    await browser.close();
+      return renderHtmlToPng(buildChartHtml(nodes, links));
+    });
 
     res.setHeader('Content-Type', 'image/png');
     res.setHeader('Content-Disposition', 'inline; filename="relationship-echarts.png"');
-    res.setHeader('Cache-Control', 'no-cache');
 
     res.end(screenshot, 'binary');
 
   } catch (error) {
     console.error('生成 ECharts PNG 失敗:', error);
-    res.status(500).json({ error: '無法生成圖片: ' + error.message });
+    res.removeHeader('ETag');
+    sendRenderError(res, error);
+  }
+});
+
+// ==================== 成長動畫（時間軸影格） ====================
+
+// 單次請求最多輸出的影格數（每張 4000×4000 PNG，全部在記憶體中打包）
+const TIMELINE_MAX_FRAMES = 36;
+
+// 同一時間只生成一份成長動畫，避免佔滿瀏覽器池
+let timelineRendering = false;
+
+// CRC-32 查表（ZIP 格式使用）
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 產生 ZIP 檔（檔案以 store 方式存放：PNG 本身已壓縮，不必再壓一次）
+function createZipArchive(files, modifiedAt = new Date()) {
+  const dosTime = (modifiedAt.getHours() << 11) | (modifiedAt.getMinutes() << 5) | (modifiedAt.getSeconds() >> 1);
+  const dosDate = ((modifiedAt.getFullYear() - 1980) << 9) | ((modifiedAt.getMonth() + 1) << 5) | modifiedAt.getDate();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data);
+    const checksum = crc32(data);
+    
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);   // local file header
+    local.writeUInt16LE(20, 4);           // version needed
+    local.writeUInt16LE(0x0800, 6);       // 檔名為 UTF-8
+    local.writeUInt16LE(0, 8);            // store
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // central directory header
+    central.writeUInt16LE(20, 4);         // version made by
+    central.writeUInt16LE(20, 6);         // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);    // local header 位置（其餘欄位為 0）
+    
+    localParts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+  
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);       // end of central directory
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// 計算每個影格（區間結束時）畫面上的人物與關係，並標記這個區間新出現的部分
+// 與 /custom.png 相同，只顯示有連線的人物
+function buildTimelineFrames(persons, relations, buckets) {
+  const frames = [];
+  let previousPersonIds = new Set();
+  let previousRelationIds = new Set();
+  
+  for (const bucket of buckets) {
+    const personIds = new Set(persons.filter(person => existsBefore(person, bucket.end)).map(person => person.id));
+    const frameRelations = relations.filter(relation =>
+      existsBefore(relation, bucket.end) && personIds.has(relation.from_person_id) && personIds.has(relation.to_person_id)
+    );
+    
+    const visiblePersonIds = new Set();
+    frameRelations.forEach(relation => {
+      visiblePersonIds.add(relation.from_person_id);
+      visiblePersonIds.add(relation.to_person_id);
+    });
+    const relationIds = new Set(frameRelations.map(relation => relation.id));
+    
+    frames.push({
+      label: bucket.label,
+      start: bucket.start,
+      end: bucket.end,
+      personIds: visiblePersonIds,
+      relations: frameRelations,
+      newPersonIds: new Set([...visiblePersonIds].filter(id => !previousPersonIds.has(id))),
+      newRelationIds: new Set([...relationIds].filter(id => !previousRelationIds.has(id)))
+    });
+    
+    previousPersonIds = visiblePersonIds;
+    previousRelationIds = relationIds;
+  }
+  
+  return frames;
+}
+
+// 產生單一影格的 ECharts 設定：所有曾出現的人物都固定在同一個位置，
+// 尚未出現或已刪除的人物只是隱藏起來，讓每個影格的縮放比例一致
+function buildTimelineFrameOption(frame, layoutPersons, positions, style) {
+  const data = layoutPersons
+    .filter(person => positions[person.id])
+    .map(person => {
+      const [x, y] = positions[person.id];
+      if (frame.personIds.has(person.id)) {
+        return { ...toChartNode(person, { ...style, highlight: frame.newPersonIds.has(person.id) }), x, y };
+      }
+      return { id: person.id.toString(), name: person.name.toString(), x, y, symbolSize: 0, itemStyle: { opacity: 0 }, label: { show: false } };
+    });
+  
+  const links = frame.relations.map(relation => toChartLink(relation, { ...style, highlight: frame.newRelationIds.has(relation.id) }));
+  
+  return {
+    backgroundColor: '#ffffff',
+    animation: false,
+    title: {
+      text: frame.label,
+      subtext: `${frame.personIds.size} 人 · ${frame.relations.length} 條關係（新增 ${frame.newRelationIds.size} 條）`,
+      left: 40,
+      top: 30,
+      textStyle: { fontSize: 56, color: '#333' },
+      subtextStyle: { fontSize: 28, color: '#666' }
+    },
+    series: [{
+      type: 'graph',
+      layout: 'none',
+      data,
+      links,
+      roam: false,
+      draggable: false,
+      // 固定座標會被縮放到填滿繪圖區，留白避免邊緣的人物被裁切，上方留給標題
+      left: '8%',
+      right: '8%',
+      top: '12%',
+      bottom: '8%',
+      emphasis: {
+        disabled: true
+      }
+    }]
+  };
+}
+
+// 產生直接套用完整 ECharts 設定的 HTML（座標已固定，不需要等待力導向佈局）
+function buildOptionChartHtml(option) {
+  // 避免人物名稱中的 </script> 提前結束 script 標籤
+  const serialized = JSON.stringify(option).replace(/</g, '\\u003c');
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <script>${getEchartsSource()}</script>
+    <style>
+        body { margin: 0; padding: 0; background: #ffffff; }
+        #chart { width: 2000px; height: 2000px; }
+    </style>
+</head>
+<body>
+    <div id="chart"></div>
+    <script>
+        const chart = echarts.init(document.getElementById('chart'), null, {
+            devicePixelRatio: 2
+        });
+        chart.setOption(${serialized});
+        window.renderComplete = true;
+    </script>
+</body>
+</html>`;
+}
+
+// 先以所有曾出現過的人物與關係跑一次力導向佈局取得座標，再逐一渲染每個影格
+// 每個影格各自取得一次渲染頁面，讓排隊中的 /custom.png 可以穿插執行
+// signal.aborted 為 true（客戶端已斷線）或超過 deadline 時停止渲染剩下的影格
+async function renderTimelineFrames(layoutPersons, layoutRelations, frames, style, { signal, deadline }) {
+  const checkProgress = () => {
+    if (signal.aborted) {
+      throw createRenderError('RENDER_ABORTED', '成長動畫生成已中止');
+    }
+    if (Date.now() > deadline) {
+      throw createRenderError('RENDER_DEADLINE', `成長動畫超過 ${Math.round((deadline - signal.startedAt) / 1000)} 秒仍未完成，請縮小範圍或改用較長的 interval`);
+    }
+  };
+  
+  const positions = await withRenderPage(async (page) => {
+    const layoutNodes = layoutPersons.map(person => toChartNode(person, style));
+    const layoutLinks = layoutRelations.map(relation => toChartLink(relation, style));
+    await loadChartPage(page, buildChartHtml(layoutNodes, layoutLinks));
+    
+    return page.evaluate(() => {
+      const data = chart.getModel().getSeriesByIndex(0).getData();
+      const result = {};
+      for (let i = 0; i < data.count(); i++) {
+        result[data.getId(i)] = data.getItemLayout(i);
+      }
+      return result;
+    });
+  });
+  
+  const images = [];
+  for (const frame of frames) {
+    checkProgress();
+    const option = buildTimelineFrameOption(frame, layoutPersons, positions, style);
+    images.push(await renderHtmlToPng(buildOptionChartHtml(option)));
+  }
+  return images;
+}
+
+// 載入資料並渲染所有影格，回傳 ZIP 檔內容
+async function buildTimelineArchive({ style, interval, skipEmpty, from, to }, progress) {
+  // 包含已刪除的資料，才能重現過去的影格
+  const [persons, relations] = await Promise.all([
+    queryDatabase('SELECT id, name, created_at, deleted_at FROM persons ORDER BY name'),
+    queryDatabase(`SELECT r.id, r.from_person_id, r.to_person_id, r.created_at, r.deleted_at,
+        rt.color AS type_color, rt.line_style AS type_line_style
+      FROM relations r LEFT JOIN relation_types rt ON rt.id = r.type_id ORDER BY r.created_at, r.id`)
+  ]);
+  
+  // 未指定 from 時從第一條關係建立的時間開始
+  const start = from || (relations.length > 0 ? new Date(relations[0].created_at) : to);
+  const buckets = buildTimeBuckets(start, to, interval);
+  if (!buckets || buckets.length > TIMELINE_MAX_FRAMES) {
+    throw createRenderError('RENDER_INVALID_PARAMS', `影格數量超過 ${TIMELINE_MAX_FRAMES} 張，請縮小範圍或改用較長的 interval`);
+  }
+  
+  let frames = buildTimelineFrames(persons, relations, buckets);
+  if (skipEmpty) {
+    // 保留第一個影格，其餘只保留關係有變動的區間
+    frames = frames.filter((frame, index) =>
+      index === 0 || frame.newRelationIds.size > 0 || frame.relations.length !== frames[index - 1].relations.length
+    );
+  }
+  
+  // 佈局包含所有在任一影格出現過的人物與關係，位置在整段動畫中固定不動
+  const layoutPersonIds = new Set(frames.flatMap(frame => [...frame.personIds]));
+  const layoutRelationIds = new Set(frames.flatMap(frame => frame.relations.map(relation => relation.id)));
+  const layoutPersons = persons.filter(person => layoutPersonIds.has(person.id));
+  const layoutRelations = relations.filter(relation => layoutRelationIds.has(relation.id));
+  
+  console.log(`影格數量: ${frames.length}, 節點數量: ${layoutPersons.length}, 邊數量: ${layoutRelations.length}`);
+  
+  // 整體期限：佈局加上每個影格各一次渲染逾時
+  const deadline = progress.startedAt + RENDER_TIMEOUT * (frames.length + 1);
+  const images = await renderTimelineFrames(layoutPersons, layoutRelations, frames, style, { signal: progress, deadline });
+  
+  // 影格依序命名，另附 frames.json 記錄每個影格的區間與數量（方便製作投影片或轉成 GIF / MP4）
+  const digits = String(frames.length).length;
+  const files = frames.map((frame, index) => ({
+    name: `frame-${String(index + 1).padStart(digits, '0')}-${frame.label}.png`,
+    data: images[index]
+  }));
+  const manifest = frames.map((frame, index) => ({
+    file: files[index].name,
+    period: frame.label,
+    start: frame.start.toISOString(),
+    end: frame.end.toISOString(),
+    persons: frame.personIds.size,
+    relations: frame.relations.length,
+    newPersons: frame.newPersonIds.size,
+    newRelations: frame.newRelationIds.size
+  }));
+  files.push({ name: 'frames.json', data: JSON.stringify({ interval, frames: manifest }, null, 2) });
+  
+  return createZipArchive(files);
+}
+
+// GET /timeline.zip - 關係圖成長動畫的 PNG 影格（依 relations.created_at 逐區間前進）
+// 參數：interval=day|week|month、from、to、skipEmpty，以及與 /custom.png 相同的 width、nodesize、fontsize、opacity
+// 每分鐘最多 2 次；完成的 ZIP 依圖表版本與參數快取
+app.get('/timeline.zip', requireReadAccess('render'), rateLimit(60000, 2), async (req, res) => {
+  // 影格數量多時渲染時間較長，改由整體期限（RENDER_TIMEOUT × 影格數）控制
+  req.setTimeout(0);
+  res.setTimeout(0);
+  
+  // 客戶端中斷連線時停止渲染剩下的影格
+  const progress = { aborted: false, startedAt: Date.now() };
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      progress.aborted = true;
+    }
+  });
+  
+  try {
+    const lineWidth = parseInt(req.query.width) || 2;
+    const nodeSize = parseInt(req.query.nodesize) || 40;
+    const fontSize = parseInt(req.query.fontsize) || Math.max(14, Math.floor(nodeSize / 2.5));
+    const opacity = parseFloat(req.query.opacity) || 0.8;
+    const style = { lineWidth, nodeSize, fontSize, opacity };
+    
+    const interval = req.query.interval || 'month';
+    const skipEmpty = req.query.skipEmpty === 'true' || req.query.skipEmpty === '1';
+    if (!GROWTH_INTERVALS.includes(interval)) {
+      throw createRenderError('RENDER_INVALID_PARAMS', `interval 必須是 ${GROWTH_INTERVALS.join('、')} 其中之一`);
+    }
+    const from = req.query.from !== undefined ? parseDateParam(req.query.from) : null;
+    if (req.query.from !== undefined && !from) {
+      throw createRenderError('RENDER_INVALID_PARAMS', 'from 必須是日期（YYYY-MM-DD）或 ISO 8601 時間');
+    }
+    const to = req.query.to !== undefined ? parseDateParam(req.query.to, { endOfDay: true }) : new Date();
+    if (!to) {
+      throw createRenderError('RENDER_INVALID_PARAMS', 'to 必須是日期（YYYY-MM-DD）或 ISO 8601 時間');
+    }
+    if (from && from > to) {
+      throw createRenderError('RENDER_INVALID_PARAMS', 'from 不可晚於 to');
+    }
+    
+    console.log(`生成成長動畫影格: interval=${interval}`);
+    
+    // 未指定 to 時以目前所在的區間計算快取 key 與 ETag，跨到下一個區間才會失效
+    await refreshGraphVersion();
+    const { key: cacheKey, etag } = getRenderCacheKey({
+      timeline: true, ...style, interval, skipEmpty,
+      from: from ? from.toISOString() : null,
+      to: req.query.to !== undefined ? to.toISOString() : formatPeriodLabel(startOfPeriod(to, interval), interval)
+    });
+    
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=0, must-revalidate');
+    res.setHeader('X-Graph-Version', graphVersion);
+    
+    if (isNotModified(req, etag)) {
+      renderCacheStats.notModified++;
+      return res.status(304).end();
+    }
+    
+    const { image: archive } = await getCachedRender(cacheKey, async () => {
+      if (timelineRendering) {
+        throw createRenderError('RENDER_QUEUE_FULL', '已有另一份成長動畫正在生成');
+      }
+      timelineRendering = true;
+      try {
+        return await buildTimelineArchive({ style, interval, skipEmpty, from, to }, progress);
+      } finally {
+        timelineRendering = false;
+      }
+    });
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="relationship-timeline.zip"');
+    res.end(archive);
+    
+  } catch (error) {
+    if (progress.aborted) {
+      console.warn('成長動畫生成已中止：客戶端中斷連線');
+      return;
+    }
+    console.error('生成成長動畫影格失敗:', error);
+    res.removeHeader('ETag');
+    sendRenderError(res, error);
   }
 });
 
@@ -1391,14 +8613,54 @@ app.use((err, req, res, next) => {
   });
 });
 
+// HTTP 伺服器實例（優雅關閉時使用）
+let httpServer = null;
+let shuttingDown = false;
+
+// 優雅關閉：停止接受新連線、等待渲染完成、關閉瀏覽器與資料庫連線池
+async function gracefulShutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  
+  console.log(`收到 ${signal}，開始關閉伺服器...`);
+  
+  // 避免關閉流程卡住，逾時後強制結束
+  setTimeout(() => {
+    console.error('關閉逾時，強制結束程序');
+    process.exit(1);
+  }, RENDER_TIMEOUT + 10000).unref();
+  
+  if (httpServer) {
+    httpServer.close();
+  }
+  
+  await closeRenderPool();
+  
+  db.end((err) => {
+    if (err) {
+      console.error('關閉資料庫連線池失敗:', err.message);
+    }
+    console.log('伺服器已關閉');
+    process.exit(0);
+  });
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
 // 啟動伺服器
 async function startServer() {
   try {
     // 測試資料庫連線
     await testDatabaseConnection();
     
+    // 補上既有資料庫缺少的資料表與欄位
+    if (config.db.autoMigrate !== false) {
+      await ensureSchema();
+    }
+    
     const port = config.server.port || 3000;
-    app.listen(port, () => {
+    httpServer = app.listen(port, () => {
       console.log(`
 ===========================================
 🚀 SITCON 關係圖伺服器啟動成功！